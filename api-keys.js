@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// API keys are persisted (hashed, never in plain text) on the data volume
+const KEYS_PATH = path.join(__dirname, 'data', 'api-keys.json');
+
+// Bootstrap key from the environment - full admin access to every session
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+// Escape hatch for local development only
+const AUTH_DISABLED = process.env.API_AUTH_DISABLED === 'true';
+
+// `admin` implies every other permission
+const PERMISSIONS = ['read', 'send', 'admin'];
+
+let keys = null;
+
+// Helper function to load (and cache) the key list
+function loadKeys() {
+  if (keys) {
+    return keys;
+  }
+
+  keys = [];
+  try {
+    if (fs.existsSync(KEYS_PATH)) {
+      keys = JSON.parse(fs.readFileSync(KEYS_PATH, 'utf8'));
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not read API keys: ${error.message}`);
+  }
+
+  return keys;
+}
+
+// Helper function to persist the key list
+function saveKeys() {
+  fs.mkdirSync(path.dirname(KEYS_PATH), { recursive: true });
+  fs.writeFileSync(`${KEYS_PATH}.tmp`, JSON.stringify(loadKeys(), null, 2));
+  fs.renameSync(`${KEYS_PATH}.tmp`, KEYS_PATH);
+}
+
+// Helper function to hash a presented key - keys are high-entropy random tokens so a fast hash is enough
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Helper function to generate a new plain-text key
+function generateKey() {
+  return `kpiwa_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// Helper function to hide the hash from API responses
+function publicKey(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Validate a key definition, returns an error message or null
+ */
+function validateKeyDefinition({ sessions, permissions }) {
+  if (sessions !== undefined && (!Array.isArray(sessions) || sessions.length === 0 || sessions.some(name => typeof name !== 'string'))) {
+    return 'sessions must be a non-empty array of session names (use ["*"] for all sessions)';
+  }
+
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return 'permissions must be a non-empty array';
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      return `Unsupported permissions: ${unknown.join(', ')}. Supported: ${PERMISSIONS.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List API keys (without hashes)
+ */
+function listKeys() {
+  return loadKeys().map(publicKey);
+}
+
+/**
+ * Get an API key, or null if it does not exist
+ */
+function getKey(keyId) {
+  const record = loadKeys().find(candidate => candidate.id === keyId);
+  return record ? publicKey(record) : null;
+}
+
+/**
+ * Create an API key - the plain-text key is only returned here
+ */
+function createKey({ name = '', sessions = ['*'], permissions = ['read'] }) {
+  const key = generateKey();
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    prefix: key.slice(0, 12),
+    hash: hashKey(key),
+    sessions,
+    permissions,
+    createdAt: new Date().toISOString(),
+    rotatedAt: null,
+    revokedAt: null,
+    lastUsedAt: null
+  };
+
+  loadKeys().push(record);
+  saveKeys();
+  console.log(`🔑 API key ${record.id} (${record.prefix}…) created`);
+
+  return { ...publicKey(record), key };
+}
+
+/**
+ * Replace the secret of a key, keeping its scope - the old secret stops working immediately
+ */
+function rotateKey(keyId) {
+  const record = loadKeys().find(candidate => candidate.id === keyId);
+
+  if (!record || record.revokedAt) {
+    return null;
+  }
+
+  const key = generateKey();
+  record.prefix = key.slice(0, 12);
+  record.hash = hashKey(key);
+  record.rotatedAt = new Date().toISOString();
+  saveKeys();
+  console.log(`🔑 API key ${record.id} rotated`);
+
+  return { ...publicKey(record), key };
+}
+
+/**
+ * Revoke a key, returns null if it does not exist
+ */
+function revokeKey(keyId) {
+  const record = loadKeys().find(candidate => candidate.id === keyId);
+
+  if (!record) {
+    return null;
+  }
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    saveKeys();
+    console.log(`🔑 API key ${record.id} revoked`);
+  }
+
+  return publicKey(record);
+}
+
+/**
+ * Resolve a presented key into its access scope, or null if it is unknown or revoked
+ */
+function resolveKey(key) {
+  if (!key) {
+    return null;
+  }
+
+  const hash = hashKey(key);
+
+  if (ADMIN_API_KEY && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(hashKey(ADMIN_API_KEY)))) {
+    return { id: 'admin', name: 'ADMIN_API_KEY', sessions: ['*'], permissions: ['admin'] };
+  }
+
+  const record = loadKeys().find(candidate => candidate.hash === hash && !candidate.revokedAt);
+  if (!record) {
+    return null;
+  }
+
+  // Persist usage at most once a minute per key to keep request handling cheap
+  const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed > 60000) {
+    record.lastUsedAt = new Date().toISOString();
+    saveKeys();
+  }
+
+  return record;
+}
+
+/**
+ * Check whether a resolved key may act on a session
+ */
+function canAccessSession(apiKey, sessionName) {
+  return apiKey.sessions.includes('*') || apiKey.sessions.includes(sessionName);
+}
+
+/**
+ * Check whether a resolved key holds a permission
+ */
+function hasPermission(apiKey, permission) {
+  return apiKey.permissions.includes('admin') || apiKey.permissions.includes(permission);
+}
+
+/**
+ * Check whether a resolved key may manage API keys - an admin key scoped to a few sessions
+ * could otherwise mint a wider key, or rotate and revoke keys of other tenants
+ */
+function isGlobalAdmin(apiKey) {
+  return hasPermission(apiKey, 'admin') && apiKey.sessions.includes('*');
+}
+
+// Helper function to read the key from `Authorization: Bearer <key>` or `X-API-Key`
+function extractKey(headers) {
+  const authorization = headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return headers['x-api-key'] || null;
+}
+
+/**
+ * Express middleware - rejects requests without a valid key and exposes it as req.apiKey
+ */
+function authenticate(req, res, next) {
+  if (AUTH_DISABLED) {
+    req.apiKey = { id: 'anonymous', sessions: ['*'], permissions: ['admin'] };
+    return next();
+  }
+
+  const apiKey = resolveKey(extractKey(req.headers));
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'Missing or invalid API key. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>"'
+    });
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+/**
+ * Express param handler for :sessionName - rejects keys not scoped to the session
+ */
+function authorizeSession(req, res, next, sessionName) {
+  if (req.apiKey && !canAccessSession(req.apiKey, sessionName)) {
+    return res.status(403).json({
+      success: false,
+      error: `API key is not allowed to access session ${sessionName}`
+    });
+  }
+  next();
+}
+
+/**
+ * Express middleware factory - rejects keys lacking a permission
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.apiKey || !hasPermission(req.apiKey, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key lacks the "${permission}" permission`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware - rejects keys that are not admins of every session
+ */
+function requireGlobalAdmin(req, res, next) {
+  if (!req.apiKey || !isGlobalAdmin(req.apiKey)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Managing API keys requires an admin key scoped to all sessions (["*"])'
+    });
+  }
+  next();
+}
+
+/**
+ * Socket.IO middleware - validates the key sent as `auth.token`, X-API-Key header or `apiKey` query
+ */
+function authenticateSocket(socket, next) {
+  if (AUTH_DISABLED) {
+    socket.data.apiKey = { id: 'anonymous', sessions: ['*'], permissions: ['admin'] };
+    return next();
+  }
+
+  const { auth, headers, query } = socket.handshake;
+  const apiKey = resolveKey((auth && auth.token) || extractKey(headers) || query.apiKey);
+
+  if (!apiKey || !hasPermission(apiKey, 'read')) {
+    return next(new Error('Unauthorized: missing or invalid API key'));
+  }
+
+  socket.data.apiKey = apiKey;
+  next();
+}
+
+/**
+ * Warn at startup when nobody could authenticate
+ */
+function checkConfiguration() {
+  if (AUTH_DISABLED) {
+    console.log('⚠️ API authentication is DISABLED (API_AUTH_DISABLED=true) - do not use this in production');
+  } else if (!ADMIN_API_KEY && loadKeys().filter(record => !record.revokedAt).length === 0) {
+    console.log('⚠️ No ADMIN_API_KEY set and no API keys stored - every API request will be rejected');
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  validateKeyDefinition,
+  listKeys,
+  getKey,
+  createKey,
+  rotateKey,
+  revokeKey,
+  canAccessSession,
+  hasPermission,
+  isGlobalAdmin,
+  authenticate,
+  authorizeSession,
+  requirePermission,
+  requireGlobalAdmin,
+  authenticateSocket,
+  checkConfiguration
+};
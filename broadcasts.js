@@ -0,0 +1,424 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+const messageQueue = require('./message-queue');
+const messageStatus = require('./message-status');
+const phoneNumbers = require('./phone-numbers');
+
+// Broadcasts are persisted per session on the data volume
+const BROADCASTS_DIR = path.join(__dirname, 'data', 'broadcasts');
+
+const MAX_RECIPIENTS = parseInt(process.env.BROADCAST_MAX_RECIPIENTS) || 1000;
+const RETENTION_DAYS = parseInt(process.env.BROADCAST_RETENTION_DAYS) || 30;
+const SAVE_DELAY_MS = 1000;
+
+// Matches {{ placeholder }} in templates
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Broadcast cache - one { broadcastId: broadcast } object per session name
+const stores = new Map();
+const pendingSaves = new Map();
+
+// Lookups of queue job id / message id -> { sessionName, broadcastId, index } for progress updates
+// Only jobs still waiting to be sent and messages not read yet are indexed, nothing else can change
+const jobIndex = new Map();
+const messageIndex = new Map();
+
+// Recipient statuses whose queue job may still change
+const PENDING_STATUSES = ['queued', 'sending'];
+
+// Helper function to index the recipients of a broadcast that can still make progress
+function indexBroadcast(sessionName, broadcast) {
+  broadcast.recipients.forEach((recipient, index) => {
+    if (recipient.jobId && PENDING_STATUSES.includes(recipient.status)) {
+      jobIndex.set(recipient.jobId, { sessionName, broadcastId: broadcast.id, index });
+    }
+    if (recipient.messageId && !(recipient.ack >= 3)) {
+      messageIndex.set(recipient.messageId, { sessionName, broadcastId: broadcast.id, index });
+    }
+  });
+}
+
+// Helper function to drop finished broadcasts older than the retention, with their index entries
+function pruneExpired(store) {
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  Object.keys(store).forEach(broadcastId => {
+    const broadcast = store[broadcastId];
+    if (broadcast.completedAt && new Date(broadcast.completedAt).getTime() < cutoff) {
+      broadcast.recipients.forEach(recipient => {
+        jobIndex.delete(recipient.jobId);
+        messageIndex.delete(recipient.messageId);
+      });
+      delete store[broadcastId];
+    }
+  });
+}
+
+// Helper function to load (and cache) the broadcasts of a session, dropping expired ones
+function loadStore(sessionName) {
+  if (stores.has(sessionName)) {
+    return stores.get(sessionName);
+  }
+
+  const storePath = path.join(BROADCASTS_DIR, `${sessionName}.json`);
+  let store = {};
+
+  try {
+    if (fs.existsSync(storePath)) {
+      store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not read broadcasts for session ${sessionName}: ${error.message}`);
+  }
+
+  pruneExpired(store);
+  Object.values(store).forEach(broadcast => indexBroadcast(sessionName, broadcast));
+
+  stores.set(sessionName, store);
+  return store;
+}
+
+// Helper function to persist the broadcasts of a session, batching bursts of progress updates
+function scheduleSave(sessionName) {
+  if (pendingSaves.has(sessionName)) {
+    return;
+  }
+
+  pendingSaves.set(sessionName, setTimeout(() => {
+    pendingSaves.delete(sessionName);
+    flush(sessionName);
+  }, SAVE_DELAY_MS));
+}
+
+/**
+ * Write the broadcasts of a session (or of every session) to disk immediately
+ * Expired broadcasts are dropped on every write, so the file a progress update rewrites stays bounded
+ */
+function flush(sessionName) {
+  const sessionNames = sessionName ? [sessionName] : Array.from(stores.keys());
+
+  sessionNames.forEach(name => {
+    if (pendingSaves.has(name)) {
+      clearTimeout(pendingSaves.get(name));
+      pendingSaves.delete(name);
+    }
+
+    try {
+      const storePath = path.join(BROADCASTS_DIR, `${name}.json`);
+      fs.mkdirSync(BROADCASTS_DIR, { recursive: true });
+      const store = loadStore(name);
+      pruneExpired(store);
+      fs.writeFileSync(`${storePath}.tmp`, JSON.stringify(store));
+      fs.renameSync(`${storePath}.tmp`, storePath);
+    } catch (error) {
+      console.log(`⚠️ Could not persist broadcasts for session ${name}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Parse CSV text into an array of row objects keyed by the header line
+ * Supports quoted fields with embedded commas, quotes ("") and line breaks
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map(key => key.trim());
+  return records.map(cells => {
+    const record = {};
+    keys.forEach((key, index) => {
+      record[key] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+/**
+ * Render a template for one recipient
+ * Returns { text } or { error } naming the placeholders the recipient has no value for
+ */
+function renderTemplate(template, variables) {
+  const missing = [];
+
+  const text = template.replace(PLACEHOLDER_PATTERN, (match, key) => {
+    const value = Object.prototype.hasOwnProperty.call(variables, key) ? variables[key] : undefined;
+    if (value === undefined || value === null || value === '') {
+      missing.push(key);
+      return match;
+    }
+    return String(value);
+  });
+
+  if (missing.length > 0) {
+    return { error: `Missing values for placeholders: ${Array.from(new Set(missing)).join(', ')}` };
+  }
+
+  return { text };
+}
+
+// Helper function to compute the counters of a broadcast from its recipients
+function summarize(broadcast) {
+  const counters = { total: broadcast.recipients.length, invalid: 0, queued: 0, sending: 0, sent: 0, failed: 0, cancelled: 0, delivered: 0, read: 0 };
+
+  broadcast.recipients.forEach(recipient => {
+    counters[recipient.status]++;
+    if (recipient.ack >= 2) {
+      counters.delivered++;
+    }
+    if (recipient.ack >= 3) {
+      counters.read++;
+    }
+  });
+
+  return counters;
+}
+
+// Helper function to mark a broadcast as completed once no recipient is waiting to be sent
+function refreshBroadcastStatus(broadcast) {
+  const pending = broadcast.recipients.some(recipient => ['queued', 'sending'].includes(recipient.status));
+
+  if (!pending && broadcast.status === 'running') {
+    broadcast.status = 'completed';
+    broadcast.completedAt = new Date().toISOString();
+    console.log(`📣 Broadcast ${broadcast.id} completed`);
+  }
+}
+
+// Helper function to shape a broadcast for API responses
+function publicBroadcast(broadcast, { includeRecipients = true } = {}) {
+  const { recipients, ...rest } = broadcast;
+  return {
+    ...rest,
+    counters: summarize(broadcast),
+    ...(includeRecipients ? { recipients } : {})
+  };
+}
+
+/**
+ * Create a broadcast: render the template for every recipient and queue the valid ones
+ * @param {Object} definition - { name, template, recipients: [{ to, ...variables }], idempotencyKey }
+ */
+function createBroadcast(sessionName, { name = '', template, recipients, idempotencyKey = null }) {
+  const store = loadStore(sessionName);
+
+  if (idempotencyKey) {
+    const existing = Object.values(store).find(broadcast => broadcast.idempotencyKey === idempotencyKey);
+    if (existing) {
+      return { broadcast: publicBroadcast(existing), duplicate: true };
+    }
+  }
+
+  const broadcast = {
+    id: crypto.randomUUID(),
+    idempotencyKey,
+    name,
+    template,
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    recipients: []
+  };
+  store[broadcast.id] = broadcast;
+
+  // Queued in one batch so the queue file is written once, not once per recipient
+  const queued = [];
+
+  recipients.forEach((entry, index) => {
+    const { to, ...variables } = entry;
+    const recipient = { to: to || null, wid: null, variables, status: 'invalid', jobId: null, messageId: null, ack: null, error: null };
+    broadcast.recipients.push(recipient);
+
+    if (!to) {
+      recipient.error = 'Missing recipient field: to';
+      return;
+    }
+
+    try {
+      recipient.wid = phoneNumbers.normalizeRecipient(to).wid;
+    } catch (error) {
+      recipient.error = `Invalid to: ${error.message}`;
+      return;
+    }
+
+    const rendered = renderTemplate(template, { to, ...variables });
+    if (rendered.error) {
+      recipient.error = rendered.error;
+      return;
+    }
+
+    queued.push({ index, message: rendered.text });
+  });
+
+  const jobs = messageQueue.enqueueMany(sessionName, queued.map(({ index, message }) => ({
+    type: 'text',
+    to: broadcast.recipients[index].wid,
+    payload: { message },
+    idempotencyKey: `broadcast:${broadcast.id}:${index}`,
+    metadata: { broadcastId: broadcast.id, recipientIndex: index }
+  })));
+
+  jobs.forEach(({ job }, position) => {
+    const { index } = queued[position];
+    const recipient = broadcast.recipients[index];
+    recipient.status = job.status;
+    recipient.jobId = job.id;
+    jobIndex.set(job.id, { sessionName, broadcastId: broadcast.id, index });
+  });
+
+  refreshBroadcastStatus(broadcast);
+  flush(sessionName);
+
+  console.log(`📣 Broadcast ${broadcast.id} created for session ${sessionName} with ${broadcast.recipients.length} recipients`);
+  return { broadcast: publicBroadcast(broadcast), duplicate: false };
+}
+
+/**
+ * List the broadcasts of a session (without per-recipient details), newest first
+ */
+function listBroadcasts(sessionName) {
+  return Object.values(loadStore(sessionName))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(broadcast => publicBroadcast(broadcast, { includeRecipients: false }));
+}
+
+/**
+ * Get a broadcast with its recipients, or null if it does not exist
+ */
+function getBroadcast(sessionName, broadcastId) {
+  const broadcast = loadStore(sessionName)[broadcastId];
+  return broadcast ? publicBroadcast(broadcast) : null;
+}
+
+/**
+ * Cancel the recipients of a broadcast that were not sent yet, returns null if it does not exist
+ */
+function cancelBroadcast(sessionName, broadcastId) {
+  const broadcast = loadStore(sessionName)[broadcastId];
+
+  if (!broadcast) {
+    return null;
+  }
+
+  // Marked first, otherwise the last cancelled job would report the broadcast as completed
+  if (broadcast.status === 'running') {
+    broadcast.status = 'cancelled';
+    broadcast.completedAt = new Date().toISOString();
+  }
+
+  messageQueue.cancelJobs(sessionName, broadcast.recipients
+    .filter(recipient => recipient.status === 'queued')
+    .map(recipient => recipient.jobId));
+
+  flush(sessionName);
+  console.log(`📣 Broadcast ${broadcastId} cancelled for session ${sessionName}`);
+  return publicBroadcast(broadcast);
+}
+
+// Keep recipient progress in sync with the queue jobs of the broadcast
+wpp.sessionEvents.on('queue-job', ({ sessionName, job }) => {
+  if (!job.metadata || !job.metadata.broadcastId) {
+    return;
+  }
+
+  loadStore(sessionName);
+  const entry = jobIndex.get(job.id);
+  if (!entry) {
+    return;
+  }
+
+  const broadcast = stores.get(sessionName)[entry.broadcastId];
+  const recipient = broadcast.recipients[entry.index];
+
+  recipient.status = job.status;
+  recipient.error = job.lastError;
+
+  if (job.messageId && !recipient.messageId) {
+    recipient.messageId = job.messageId;
+    messageIndex.set(job.messageId, entry);
+
+    // Acks may have arrived before the queue learned the message id
+    const status = messageStatus.getMessageStatus(sessionName, job.messageId);
+    recipient.ack = status ? status.ack : recipient.ack;
+  }
+
+  if (!PENDING_STATUSES.includes(job.status)) {
+    jobIndex.delete(job.id);
+  }
+
+  refreshBroadcastStatus(broadcast);
+  scheduleSave(sessionName);
+});
+
+wpp.sessionEvents.on('ack-change', ({ sessionName, status }) => {
+  loadStore(sessionName);
+  const entry = messageIndex.get(status.id);
+  if (!entry || entry.sessionName !== sessionName) {
+    return;
+  }
+
+  stores.get(sessionName)[entry.broadcastId].recipients[entry.index].ack = status.ack;
+
+  // Read is the last ack a text message gets
+  if (status.ack >= 3) {
+    messageIndex.delete(status.id);
+  }
+
+  scheduleSave(sessionName);
+});
+
+module.exports = {
+  MAX_RECIPIENTS,
+  parseCsv,
+  renderTemplate,
+  createBroadcast,
+  listBroadcasts,
+  getBroadcast,
+  cancelBroadcast,
+  flush
+};
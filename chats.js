@@ -0,0 +1,126 @@
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+const phoneNumbers = require('./phone-numbers');
+
+// Mute durations are given in one of these units
+const MUTE_UNITS = { minutes: 1, hours: 60, days: 24 * 60 };
+
+// WhatsApp offers mutes of up to a year
+const MAX_MUTE_MINUTES = 365 * 24 * 60;
+
+// Chat actions and what each one does, run with the client and the resolved chat id
+const CHAT_ACTIONS = {
+  archive: async (client, chatId) => {
+    await client.archiveChat(chatId, true);
+    return { archived: true };
+  },
+  unarchive: async (client, chatId) => {
+    await client.archiveChat(chatId, false);
+    return { archived: false };
+  },
+  pin: async (client, chatId) => {
+    await client.pinChat(chatId, true);
+    return { pinned: true };
+  },
+  unpin: async (client, chatId) => {
+    await client.pinChat(chatId, false);
+    return { pinned: false };
+  },
+  mute: async (client, chatId, { minutes }) => {
+    // wppconnect rejects with a plain object rather than an Error when WhatsApp refuses
+    await client.sendMute(chatId, minutes, 'minutes').catch(error => {
+      throw chatError(error.text || error.message || 'WhatsApp refused to mute the chat', 409);
+    });
+    return { muted: true, mutedUntil: new Date(Date.now() + minutes * 60 * 1000).toISOString() };
+  },
+  unmute: async (client, chatId) => {
+    await client.sendMute(chatId).catch(error => {
+      throw chatError(error.text || error.message || 'WhatsApp refused to unmute the chat', 409);
+    });
+    return { muted: false };
+  },
+  read: async (client, chatId) => {
+    await client.sendSeen(chatId);
+    return { unread: false };
+  },
+  unread: async (client, chatId) => {
+    await client.markUnseenMessage(chatId);
+    return { unread: true };
+  },
+  clear: async (client, chatId, { keepStarred }) => {
+    await client.clearChat(chatId, keepStarred);
+    return { cleared: true, keepStarred };
+  },
+  delete: async (client, chatId) => {
+    await client.deleteChat(chatId);
+    return { deleted: true };
+  }
+};
+
+// Helper function to build an error carrying its HTTP status
+function chatError(message, statusCode = 400) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+// Helper function to check for an own key, so names such as `constructor` never match a prototype property
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Helper function to read the mute duration of a request, in minutes
+function parseMuteDuration({ duration, unit = 'hours' } = {}) {
+  if (typeof unit !== 'string' || !hasOwn(MUTE_UNITS, unit)) {
+    throw chatError(`unit must be one of: ${Object.keys(MUTE_UNITS).join(', ')}`);
+  }
+
+  const amount = Number(duration);
+  if (!Number.isInteger(amount) || amount < 1) {
+    throw chatError('duration must be a positive whole number, e.g. { "duration": 8, "unit": "hours" }');
+  }
+
+  const minutes = amount * MUTE_UNITS[unit];
+  if (minutes > MAX_MUTE_MINUTES) {
+    throw chatError('A chat can be muted for at most 365 days');
+  }
+  return minutes;
+}
+
+/**
+ * Run a chat action: archive, unarchive, pin, unpin, mute, unmute, read, unread, clear or delete
+ * @param {Object} options - { duration, unit: minutes|hours|days } for mute, { keepStarred } for clear
+ * Returns the state of the chat after the action, e.g. { chatId, action: 'pin', pinned: true }
+ */
+async function runChatAction(sessionName, chatId, action, options = {}) {
+  if (typeof action !== 'string' || !hasOwn(CHAT_ACTIONS, action)) {
+    throw chatError(`action must be one of: ${Object.keys(CHAT_ACTIONS).join(', ')}`, 404);
+  }
+
+  let id;
+  try {
+    id = phoneNumbers.normalizeRecipient(chatId).wid;
+  } catch (error) {
+    throw chatError(`Invalid chatId: ${error.message}`);
+  }
+
+  const actionOptions = {
+    minutes: action === 'mute' ? parseMuteDuration(options) : null,
+    keepStarred: options.keepStarred === true || options.keepStarred === 'true'
+  };
+
+  return await wpp.withClient(sessionName, async (client) => {
+    const chat = await client.getChatById(id).catch(() => null);
+    if (!chat) {
+      throw chatError(`Chat ${id} not found`, 404);
+    }
+
+    const state = await CHAT_ACTIONS[action](client, id, actionOptions);
+    console.log(`💬 ${action} chat ${id} for session ${sessionName}`);
+
+    return { chatId: id, action, ...state };
+  });
+}
+
+module.exports = {
+  CHAT_ACTIONS,
+  runChatAction
+};
@@ -0,0 +1,152 @@
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+const phoneNumbers = require('./phone-numbers');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Numbers looked up per check request, every one is a round trip to WhatsApp
+const MAX_CHECK_BATCH = 100;
+
+// Helper function to build an error carrying its HTTP status
+function contactError(message, statusCode = 400) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+// Helper function to turn a phone number or WhatsApp id into a contact id
+function toContactId(value) {
+  return phoneNumbers.normalizeRecipient(value).wid;
+}
+
+// Helper function to get the serialized id of a contact, null when wppconnect returns an unknown contact without one
+function contactIdOf(contact) {
+  return (contact && contact.id && wpp.serializeId(contact.id)) || null;
+}
+
+// Helper function to flatten a wppconnect contact into the shape exposed by the API
+function summarizeContact(contact) {
+  const id = contactIdOf(contact);
+  return {
+    id,
+    number: id ? id.split('@')[0] : null,
+    name: contact.name || null,
+    pushname: contact.pushname || null,
+    verifiedName: contact.verifiedName || null,
+    isMyContact: Boolean(contact.isMyContact),
+    isBusiness: Boolean(contact.isBusiness)
+  };
+}
+
+/**
+ * List the contacts of a session
+ * @param {Object} query - { q (matches name, push name or number), onlyMyContacts, limit, offset }
+ * Returns { contacts, total } where total counts every match before paging
+ */
+async function listContacts(sessionName, query = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  const search = query.q ? String(query.q).toLowerCase() : null;
+  const onlyMyContacts = query.onlyMyContacts === true || query.onlyMyContacts === 'true';
+
+  return await wpp.withClient(sessionName, async (client) => {
+    const matches = (await client.getAllContacts())
+      // Groups, broadcast lists and the session itself are not people to message
+      .filter(contact => contact && contact.isUser !== false && !contact.isMe && (contactIdOf(contact) || '').endsWith('@c.us'))
+      .filter(contact => !onlyMyContacts || contact.isMyContact)
+      .map(summarizeContact)
+      .filter(contact => !search || [contact.name, contact.pushname, contact.verifiedName, contact.number]
+        .some(text => text && text.toLowerCase().includes(search)))
+      .sort((a, b) => (a.name || a.pushname || a.number || '').localeCompare(b.name || b.pushname || b.number || ''));
+
+    return {
+      contacts: matches.slice(offset, offset + limit),
+      total: matches.length
+    };
+  });
+}
+
+/**
+ * Get the profile of a contact: names, about text, profile picture URL and business flag
+ */
+async function getContactProfile(sessionName, contactId) {
+  const id = toContactId(contactId);
+
+  return await wpp.withClient(sessionName, async (client) => {
+    const [contact, profile] = await Promise.all([
+      client.getContact(id).catch(() => null),
+      client.checkNumberStatus(id).catch(() => null)
+    ]);
+
+    if (!contact && !(profile && profile.numberExists)) {
+      throw contactError(`Contact ${id} not found`, 404);
+    }
+
+    // Both are hidden by the contact's privacy settings more often than not
+    const [status, picture] = await Promise.all([
+      client.getStatus(id).catch(() => null),
+      client.getProfilePicFromServer(id).catch(() => null)
+    ]);
+
+    return {
+      // Unknown contacts may come back without an id, the one asked for is the best we have
+      ...summarizeContact({ ...contact, id: contactIdOf(contact) || id }),
+      about: status && typeof status.status === 'string' ? status.status : null,
+      profilePictureUrl: (picture && (picture.imgFull || picture.eurl)) || null,
+      isBusiness: Boolean((contact && contact.isBusiness) || (profile && profile.isBusiness))
+    };
+  });
+}
+
+/**
+ * Check which numbers are on WhatsApp, returning the canonical WID of each one
+ * Numbers are looked up one by one, so one failed lookup does not fail the batch
+ */
+async function checkNumbers(sessionName, numbers) {
+  if (!Array.isArray(numbers) || numbers.length === 0) {
+    throw contactError('numbers must be a non-empty array of phone numbers or WhatsApp ids');
+  }
+  if (numbers.length > MAX_CHECK_BATCH) {
+    throw contactError(`At most ${MAX_CHECK_BATCH} numbers can be checked per request`);
+  }
+
+  return await wpp.withClient(sessionName, async (client) => {
+    const results = [];
+
+    for (const input of numbers) {
+      let id;
+      try {
+        id = toContactId(input);
+      } catch (error) {
+        results.push({ input, valid: false, exists: false, wid: null, error: error.message });
+        continue;
+      }
+
+      try {
+        const profile = await client.checkNumberStatus(id);
+        const exists = Boolean(profile && profile.numberExists);
+        results.push({
+          input,
+          valid: true,
+          exists,
+          // WhatsApp answers with the id it actually uses, e.g. without the mobile 9 some countries add
+          wid: exists && profile.id ? wpp.serializeId(profile.id) : null,
+          isBusiness: exists ? Boolean(profile.isBusiness) : false,
+          canReceiveMessage: exists ? Boolean(profile.canReceiveMessage) : false
+        });
+      } catch (error) {
+        results.push({ input, valid: true, exists: false, wid: null, error: error.message });
+      }
+    }
+
+    const existing = results.filter(result => result.exists).length;
+    console.log(`🔎 Checked ${results.length} numbers for session ${sessionName}, ${existing} on WhatsApp`);
+
+    return { results, existing, missing: results.length - existing };
+  });
+}
+
+module.exports = {
+  listContacts,
+  getContactProfile,
+  checkNumbers
+};
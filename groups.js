@@ -0,0 +1,286 @@
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+const phoneNumbers = require('./phone-numbers');
+
+// WhatsApp limits on group texts
+const MAX_SUBJECT_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2048;
+
+// Participants handled per batch request
+const MAX_BATCH_SIZE = 256;
+
+// Participant actions that take a batch of participants
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+// Result codes WhatsApp reports per participant when adding them to a group
+const ADD_RESULT_MESSAGES = {
+  403: 'The participant privacy settings do not allow adding them, send them the invite link instead',
+  404: 'The number is not on WhatsApp',
+  408: 'The participant left the group recently and cannot be added yet',
+  409: 'The participant is already in the group'
+};
+
+// Helper function to build an error carrying its HTTP status
+function groupError(message, statusCode = 400) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+// Helper function to check a group id before it reaches the browser
+function checkGroupId(groupId) {
+  if (typeof groupId !== 'string' || !groupId.endsWith('@g.us')) {
+    throw groupError('groupId must be a group id such as 120363000000000000@g.us');
+  }
+}
+
+// Helper function to turn a phone number or WhatsApp id into a participant id
+function toParticipantId(value) {
+  try {
+    return phoneNumbers.normalizeRecipient(value).wid;
+  } catch (error) {
+    throw groupError(`Invalid participant: ${error.message}`);
+  }
+}
+
+// Helper function to read the participants of a batch request
+function parseParticipants(participants) {
+  const list = Array.isArray(participants) ? participants : [participants].filter(Boolean);
+
+  if (list.length === 0) {
+    throw groupError('participants must be a non-empty array of phone numbers or WhatsApp ids');
+  }
+  if (list.length > MAX_BATCH_SIZE) {
+    throw groupError(`At most ${MAX_BATCH_SIZE} participants can be handled per request`);
+  }
+
+  // Duplicates would be reported twice for a single change
+  return Array.from(new Set(list.map(toParticipantId)));
+}
+
+// Helper function to check a subject or description
+function checkText(value, name, maxLength, { required = true } = {}) {
+  if (typeof value !== 'string' || (required && value.trim() === '')) {
+    throw groupError(`${name} must be a${required ? ' non-empty' : ''} string`);
+  }
+  if (value.length > maxLength) {
+    throw groupError(`${name} must be at most ${maxLength} characters`);
+  }
+}
+
+// Helper function to summarize per-participant results
+function summarize(results) {
+  const succeeded = results.filter(result => result.success).length;
+  return { results, succeeded, failed: results.length - succeeded };
+}
+
+// Helper function to report the outcome of adding participants, from WhatsApp's per-participant codes
+function toAddResults(participantIds, outcome = {}) {
+  return participantIds.map(participantId => {
+    const entry = outcome[participantId];
+    if (!entry) {
+      return { participantId, success: false, code: null, error: 'No result reported by WhatsApp' };
+    }
+
+    const code = Number(entry.code);
+    return {
+      participantId,
+      success: code === 200,
+      code,
+      ...(code === 200 ? {} : { error: entry.message || ADD_RESULT_MESSAGES[code] || `WhatsApp refused the participant (code ${code})` }),
+      ...(entry.invite_code ? { inviteCode: entry.invite_code } : {})
+    };
+  });
+}
+
+/**
+ * List the groups of a session
+ */
+async function listGroups(sessionName) {
+  return await wpp.withClient(sessionName, async (client) => {
+    const chats = await client.listChats({ onlyGroups: true });
+    return chats.map(chat => ({
+      id: wpp.serializeId(chat.id),
+      subject: chat.name || (chat.groupMetadata && chat.groupMetadata.subject) || null,
+      size: chat.groupMetadata ? chat.groupMetadata.size : null,
+      unreadCount: chat.unreadCount || 0,
+      archived: Boolean(chat.archive)
+    }));
+  });
+}
+
+/**
+ * Get a group with its description and participants
+ */
+async function getGroup(sessionName, groupId) {
+  checkGroupId(groupId);
+
+  return await wpp.withClient(sessionName, async (client) => {
+    const chat = await client.getChatById(groupId).catch(() => null);
+    if (!chat || !chat.isGroup) {
+      throw groupError(`Group ${groupId} not found`, 404);
+    }
+
+    const metadata = chat.groupMetadata || {};
+    const memberIds = (await client.getGroupMembersIds(groupId)).map(wpp.serializeId);
+    const adminIds = (await client.getGroupAdmins(groupId)).map(wpp.serializeId);
+
+    return {
+      id: groupId,
+      subject: metadata.subject || chat.name || null,
+      description: metadata.desc || null,
+      owner: wpp.serializeId(metadata.owner),
+      createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+      size: memberIds.length,
+      participants: memberIds.map(id => ({ id, isAdmin: adminIds.includes(id) }))
+    };
+  });
+}
+
+/**
+ * Create a group with a subject and its first participants
+ * Returns the new group id and the outcome per participant
+ */
+async function createGroup(sessionName, { subject, participants } = {}) {
+  checkText(subject, 'subject', MAX_SUBJECT_LENGTH);
+  const participantIds = parseParticipants(participants);
+
+  return await wpp.withClient(sessionName, async (client) => {
+    const created = await client.createGroup(subject.trim(), participantIds);
+    const groupId = wpp.serializeId(created.gid);
+
+    console.log(`👥 Created group ${groupId} (${subject.trim()}) for session ${sessionName}`);
+    return { groupId, subject: subject.trim(), ...summarize(toAddResults(participantIds, created.participants)) };
+  });
+}
+
+/**
+ * Add, remove, promote or demote participants of a group
+ * Every participant is handled on its own, so one refusal does not fail the whole batch
+ */
+async function updateParticipants(sessionName, groupId, action, participants) {
+  checkGroupId(groupId);
+  if (!PARTICIPANT_ACTIONS.includes(action)) {
+    throw groupError(`action must be one of: ${PARTICIPANT_ACTIONS.join(', ')}`, 404);
+  }
+  const participantIds = parseParticipants(participants);
+
+  return await wpp.withClient(sessionName, async (client) => {
+    // Adding reports a code per participant in one call
+    if (action === 'add') {
+      const outcome = await client.addParticipant(groupId, participantIds);
+      const summary = summarize(toAddResults(participantIds, outcome));
+      console.log(`👥 Added ${summary.succeeded}/${participantIds.length} participants to group ${groupId}`);
+      return summary;
+    }
+
+    const memberIds = (await client.getGroupMembersIds(groupId)).map(wpp.serializeId);
+    const method = { remove: 'removeParticipant', promote: 'promoteParticipant', demote: 'demoteParticipant' }[action];
+    const results = [];
+
+    for (const participantId of participantIds) {
+      if (!memberIds.includes(participantId)) {
+        results.push({ participantId, success: false, error: 'The participant is not in the group' });
+        continue;
+      }
+
+      try {
+        await client[method](groupId, participantId);
+        results.push({ participantId, success: true });
+      } catch (error) {
+        results.push({ participantId, success: false, error: error.message });
+      }
+    }
+
+    const summary = summarize(results);
+    console.log(`👥 ${action} ${summary.succeeded}/${participantIds.length} participants of group ${groupId}`);
+    return summary;
+  });
+}
+
+/**
+ * Change the subject and/or description of a group
+ */
+async function updateGroup(sessionName, groupId, { subject, description } = {}) {
+  checkGroupId(groupId);
+  if (subject === undefined && description === undefined) {
+    throw groupError('Provide a subject and/or a description');
+  }
+  if (subject !== undefined) {
+    checkText(subject, 'subject', MAX_SUBJECT_LENGTH);
+  }
+  if (description !== undefined) {
+    checkText(description, 'description', MAX_DESCRIPTION_LENGTH, { required: false });
+  }
+
+  return await wpp.withClient(sessionName, async (client) => {
+    const updated = {};
+    if (subject !== undefined) {
+      await client.setGroupSubject(groupId, subject.trim());
+      updated.subject = subject.trim();
+    }
+    if (description !== undefined) {
+      await client.setGroupDescription(groupId, description);
+      updated.description = description;
+    }
+    return updated;
+  });
+}
+
+/**
+ * Set the picture of a group from a JPEG data URI, or remove it when `picture` is null
+ */
+async function setGroupPicture(sessionName, groupId, picture) {
+  checkGroupId(groupId);
+
+  return await wpp.withClient(sessionName, async (client) => {
+    if (picture === null) {
+      await client.removeGroupIcon(groupId);
+      return { removed: true };
+    }
+
+    await client.setGroupIcon(groupId, picture);
+    return { updated: true };
+  });
+}
+
+/**
+ * Get the invite link of a group, or revoke it and get the new one
+ */
+async function getInviteLink(sessionName, groupId, { revoke = false } = {}) {
+  checkGroupId(groupId);
+
+  return await wpp.withClient(sessionName, async (client) => {
+    const inviteLink = revoke
+      ? await client.revokeGroupInviteLink(groupId)
+      : await client.getGroupInviteLink(groupId);
+
+    if (revoke) {
+      console.log(`🔗 Revoked the invite link of group ${groupId}`);
+    }
+    return { inviteLink };
+  });
+}
+
+/**
+ * Leave a group
+ */
+async function leaveGroup(sessionName, groupId) {
+  checkGroupId(groupId);
+
+  return await wpp.withClient(sessionName, async (client) => {
+    await client.leaveGroup(groupId);
+    console.log(`👋 Session ${sessionName} left group ${groupId}`);
+    return { left: true };
+  });
+}
+
+module.exports = {
+  PARTICIPANT_ACTIONS,
+  listGroups,
+  getGroup,
+  createGroup,
+  updateParticipants,
+  updateGroup,
+  setGroupPicture,
+  getInviteLink,
+  leaveGroup
+};
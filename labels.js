@@ -0,0 +1,182 @@
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+const phoneNumbers = require('./phone-numbers');
+
+// WhatsApp Business limits label names to 100 characters
+const MAX_NAME_LENGTH = 100;
+
+// Helper function to build an error carrying its HTTP status
+function labelError(message, statusCode = 400) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+// Helper function to flatten a wa-js label into the shape exposed by the API
+function summarizeLabel(label) {
+  return {
+    id: String(label.id),
+    name: label.name,
+    color: label.hexColor || null,
+    count: label.count || 0
+  };
+}
+
+// Helper function to check the name and color of a label request
+function checkLabelFields({ name, color }, { requireName }) {
+  if (requireName || name !== undefined) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw labelError('name must be a non-empty string');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw labelError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+  }
+  if (color !== undefined && color !== null && !/^#[0-9a-f]{6}$/i.test(color)) {
+    throw labelError('color must be a hex color such as #ff9485');
+  }
+}
+
+// Helper function to find a label by id or (case-insensitive) name
+function findLabel(labels, reference) {
+  const wanted = String(reference).trim().toLowerCase();
+  return labels.find(label => String(label.id) === wanted) || labels.find(label => label.name.toLowerCase() === wanted);
+}
+
+// Helper function to load the labels of the session, failing if the referenced one does not exist
+async function requireLabel(client, labelId) {
+  const label = findLabel(await client.getAllLabels(), labelId);
+  if (!label) {
+    throw labelError(`Label ${labelId} not found`, 404);
+  }
+  return label;
+}
+
+// Helper function to create or edit a label in the browser, refusing colors outside WhatsApp's palette
+// wppconnect's own wrappers do not return the label, so wa-js is called directly
+async function saveLabel(client, { id = null, name, color }) {
+  const outcome = await client.page.evaluate(async ({ id, name, color }) => {
+    if (color && !(await WPP.labels.colorIsInLabelPalette(color))) {
+      return { palette: await WPP.labels.getLabelColorPalette() };
+    }
+
+    const options = color ? { labelColor: color } : {};
+    const label = id
+      ? await WPP.labels.editLabel(id, { ...options, ...(name ? { name } : {}) })
+      : await WPP.labels.addNewLabel(name, options);
+    return { label: { id: label.id, name: label.name, hexColor: label.hexColor, count: label.count } };
+  }, { id, name, color });
+
+  if (outcome.palette) {
+    throw labelError(`color must be one of WhatsApp's label colors: ${outcome.palette.join(', ')}`);
+  }
+  return summarizeLabel(outcome.label);
+}
+
+/**
+ * List the labels of a WhatsApp Business session with the number of chats each one is on
+ */
+async function listLabels(sessionName) {
+  return await wpp.withClient(sessionName, async (client) => {
+    return (await client.getAllLabels()).map(summarizeLabel);
+  });
+}
+
+/**
+ * Create a label ({ name, color }), the color defaults to the next one of WhatsApp's palette
+ */
+async function createLabel(sessionName, { name, color } = {}) {
+  checkLabelFields({ name, color }, { requireName: true });
+
+  return await wpp.withClient(sessionName, async (client) => {
+    const existing = findLabel(await client.getAllLabels(), name);
+    if (existing && existing.name.toLowerCase() === name.trim().toLowerCase()) {
+      throw labelError(`A label named ${existing.name} already exists (id ${existing.id})`, 409);
+    }
+
+    const label = await saveLabel(client, { name: name.trim(), color });
+    console.log(`🏷️ Created label ${label.id} (${label.name}) for session ${sessionName}`);
+    return label;
+  });
+}
+
+/**
+ * Rename and/or recolor a label
+ */
+async function updateLabel(sessionName, labelId, { name, color } = {}) {
+  if (name === undefined && color === undefined) {
+    throw labelError('Provide a name and/or a color');
+  }
+  checkLabelFields({ name, color }, { requireName: false });
+
+  return await wpp.withClient(sessionName, async (client) => {
+    const label = await requireLabel(client, labelId);
+    return await saveLabel(client, { id: String(label.id), name: name !== undefined ? name.trim() : undefined, color });
+  });
+}
+
+/**
+ * Delete a label, it is removed from every chat it was on
+ */
+async function deleteLabel(sessionName, labelId) {
+  return await wpp.withClient(sessionName, async (client) => {
+    const label = await requireLabel(client, labelId);
+    await client.deleteLabel(String(label.id));
+
+    console.log(`🏷️ Deleted label ${label.id} (${label.name}) for session ${sessionName}`);
+    return { id: String(label.id), deleted: true };
+  });
+}
+
+/**
+ * Add and/or remove labels on a chat or contact ({ add, remove }: label ids or names)
+ * Returns the labels of the chat after the change
+ */
+async function applyLabels(sessionName, chatId, { add = [], remove = [] } = {}) {
+  const toAdd = Array.isArray(add) ? add : [add];
+  const toRemove = Array.isArray(remove) ? remove : [remove];
+
+  if (toAdd.length === 0 && toRemove.length === 0) {
+    throw labelError('Provide labels to add and/or remove, e.g. { "add": ["Pending payslip"], "remove": ["Answered"] }');
+  }
+
+  let id;
+  try {
+    id = phoneNumbers.normalizeRecipient(chatId).wid;
+  } catch (error) {
+    throw labelError(`Invalid chatId: ${error.message}`);
+  }
+
+  return await wpp.withClient(sessionName, async (client) => {
+    const labels = await client.getAllLabels();
+    const resolve = reference => {
+      const label = findLabel(labels, reference);
+      if (!label) {
+        throw labelError(`Label ${reference} not found`, 404);
+      }
+      return String(label.id);
+    };
+
+    const operations = [
+      ...toAdd.map(reference => ({ labelId: resolve(reference), type: 'add' })),
+      ...toRemove.map(reference => ({ labelId: resolve(reference), type: 'remove' }))
+    ];
+
+    await client.page.evaluate(({ id, operations }) => WPP.labels.addOrRemoveLabels([id], operations), { id, operations });
+
+    const chat = await client.getChatById(id).catch(() => null);
+    const current = (chat && chat.labels) || [];
+    console.log(`🏷️ Updated labels of ${id} for session ${sessionName}`);
+
+    return {
+      chatId: id,
+      labels: labels.filter(label => current.map(String).includes(String(label.id))).map(summarizeLabel)
+    };
+  });
+}
+
+module.exports = {
+  listLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+  applyLabels
+};
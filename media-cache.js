@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+const media = require('./media');
+
+// Downloaded attachments are cached per session on the data volume
+const CACHE_DIR = path.join(__dirname, 'data', 'media-cache');
+
+const RETENTION_HOURS = parseInt(process.env.MEDIA_CACHE_RETENTION_HOURS) || 72;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const DEFAULT_THUMBNAIL_SIZE = 256;
+const MAX_THUMBNAIL_SIZE = 1024;
+
+// Media types safe to render from the API origin: raster images, audio and video
+// Anything else (HTML, SVG, PDF...) comes from arbitrary senders and is only served as a download
+const INLINE_TYPE_PATTERN = /^(image\/(jpeg|png|gif|webp)|audio\/[\w.+-]+|video\/[\w.+-]+)$/;
+
+// Downloads in progress, so concurrent requests for the same attachment share one download
+const downloads = new Map();
+
+let sweepTimer = null;
+
+// Helper function to locate the cached file of a message (message ids only hold letters, digits, `_`, `@`, `.` and `-`)
+function entryPath(sessionName, messageId) {
+  return path.join(CACHE_DIR, sessionName, messageId.replace(/[^\w.@-]/g, '_'));
+}
+
+// Helper function to read the metadata of a cached attachment, or null if it is not cached
+function readEntry(sessionName, messageId) {
+  const filePath = entryPath(sessionName, messageId);
+
+  try {
+    if (fs.existsSync(filePath) && fs.existsSync(`${filePath}.json`)) {
+      return { ...JSON.parse(fs.readFileSync(`${filePath}.json`, 'utf8')), filePath };
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not read cached media of ${messageId}: ${error.message}`);
+  }
+
+  return null;
+}
+
+// Helper function to download an attachment into the cache
+async function downloadEntry(sessionName, messageId) {
+  const result = await wpp.downloadMessageMedia(sessionName, messageId);
+  if (!result.success) {
+    return result;
+  }
+
+  // Files sent without a name get one from the message id and MIME type
+  const fallbackName = `${messageId.split('_').pop()}${media.extensionFor(result.mimetype)}`;
+  const entry = {
+    messageId,
+    mimetype: result.mimetype,
+    filename: result.filename || fallbackName,
+    size: result.buffer.length,
+    cachedAt: new Date().toISOString()
+  };
+
+  const filePath = entryPath(sessionName, messageId);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, result.buffer);
+  fs.writeFileSync(`${filePath}.json`, JSON.stringify(entry));
+  console.log(`🗂️ Cached media of ${messageId} for session ${sessionName} (${entry.size} bytes)`);
+
+  return { success: true, ...entry, filePath };
+}
+
+/**
+ * Get the attachment of a message from the cache, downloading and decrypting it on a miss
+ * Returns { success, filePath, mimetype, filename, size, cachedAt, cached } or { success: false, error, statusCode, isAuthenticated }
+ */
+async function getMedia(sessionName, messageId) {
+  const cached = readEntry(sessionName, messageId);
+  if (cached) {
+    return { success: true, ...cached, cached: true };
+  }
+
+  const key = `${sessionName}/${messageId}`;
+  if (!downloads.has(key)) {
+    downloads.set(key, downloadEntry(sessionName, messageId).finally(() => downloads.delete(key)));
+  }
+
+  return { ...(await downloads.get(key)), cached: false };
+}
+
+/**
+ * Get a JPEG thumbnail of an image attachment, at most `size` pixels wide and high
+ */
+async function getThumbnail(sessionName, messageId, size = DEFAULT_THUMBNAIL_SIZE) {
+  const pixels = Math.min(Math.max(parseInt(size) || DEFAULT_THUMBNAIL_SIZE, 16), MAX_THUMBNAIL_SIZE);
+  const entry = await getMedia(sessionName, messageId);
+
+  if (!entry.success) {
+    return entry;
+  }
+
+  if (!entry.mimetype.startsWith('image/')) {
+    return { success: false, error: `Thumbnails are only available for images, this media is ${entry.mimetype}`, statusCode: 415, isAuthenticated: true };
+  }
+
+  const thumbnailPath = `${entry.filePath}.thumb-${pixels}.jpg`;
+  if (!fs.existsSync(thumbnailPath)) {
+    // Rendered under a name of its own and renamed once complete, so a concurrent request never serves half a file
+    const tmpPath = `${thumbnailPath}.${crypto.randomUUID()}.tmp`;
+    try {
+      await sharp(entry.filePath)
+        .rotate()
+        .resize(pixels, pixels, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toFile(tmpPath);
+      fs.renameSync(tmpPath, thumbnailPath);
+    } catch (error) {
+      return { success: false, error: `Could not render a thumbnail of this image: ${error.message}`, statusCode: 422, isAuthenticated: true };
+    } finally {
+      fs.rmSync(tmpPath, { force: true });
+    }
+  }
+
+  return {
+    success: true,
+    filePath: thumbnailPath,
+    mimetype: 'image/jpeg',
+    filename: `${path.parse(entry.filename).name}-thumb.jpg`,
+    cached: entry.cached
+  };
+}
+
+/**
+ * Check whether a media type may be served inline, see INLINE_TYPE_PATTERN
+ */
+function canServeInline(mimetype) {
+  return INLINE_TYPE_PATTERN.test(String(mimetype || '').split(';')[0].trim().toLowerCase());
+}
+
+/**
+ * Delete cached attachments (and their thumbnails) older than the retention
+ * Returns the number of attachments removed
+ */
+function sweepCache() {
+  if (!fs.existsSync(CACHE_DIR)) {
+    return 0;
+  }
+
+  const cutoff = new Date(Date.now() - RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+  let removed = 0;
+
+  fs.readdirSync(CACHE_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(({ name: sessionName }) => {
+      const sessionDir = path.join(CACHE_DIR, sessionName);
+      const files = fs.readdirSync(sessionDir);
+
+      files.filter(file => file.endsWith('.json')).forEach(metaFile => {
+        const base = metaFile.slice(0, -'.json'.length);
+        let cachedAt = '';
+        try {
+          cachedAt = JSON.parse(fs.readFileSync(path.join(sessionDir, metaFile), 'utf8')).cachedAt;
+        } catch (error) {
+          // Unreadable metadata is removed with its file
+        }
+
+        if (cachedAt >= cutoff) {
+          return;
+        }
+
+        files
+          .filter(file => file === base || file.startsWith(`${base}.`))
+          .forEach(file => fs.rmSync(path.join(sessionDir, file), { force: true }));
+        removed++;
+      });
+    });
+
+  if (removed > 0) {
+    console.log(`🗂️ Removed ${removed} cached media files older than ${RETENTION_HOURS} hours`);
+  }
+  return removed;
+}
+
+/**
+ * Start the periodic cache sweep
+ */
+function startCacheSweep() {
+  if (sweepTimer) {
+    return;
+  }
+
+  const sweep = () => {
+    try {
+      sweepCache();
+    } catch (error) {
+      console.error('❌ Media cache sweep error:', error.message);
+    }
+  };
+
+  sweep();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+/**
+ * Stop the periodic cache sweep
+ */
+function stopCacheSweep() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+// Drop the cached media of a deleted session
+wpp.sessionEvents.on('session-deleted', ({ sessionName }) => {
+  fs.rmSync(path.join(CACHE_DIR, sessionName), { recursive: true, force: true });
+});
+
+module.exports = {
+  getMedia,
+  getThumbnail,
+  canServeInline,
+  sweepCache,
+  startCacheSweep,
+  stopCacheSweep
+};
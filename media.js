@@ -0,0 +1,326 @@
+const path = require('path');
+const net = require('net');
+const dns = require('dns');
+const sharp = require('sharp');
+const { Agent, fetch } = require('undici');
+
+// Maximum accepted size of a single media file, in bytes (defaults to 10MB)
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+// Media urls must answer within this time, body included
+const DOWNLOAD_TIMEOUT_MS = parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS) || 30000;
+const MAX_REDIRECTS = 5;
+
+// Addresses a media url may not reach: loopback, private networks, link-local (cloud metadata services) and the like
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges by BlockList itself
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+].forEach(([address, prefix, type]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, type));
+
+// Media kinds the send endpoints accept and the MIME family each one requires
+const MEDIA_TYPES = {
+  image: 'image/',
+  document: null,
+  audio: 'audio/',
+  video: 'video/',
+  sticker: 'image/'
+};
+
+// Magic-byte signatures for the formats WhatsApp handles natively
+const SIGNATURES = [
+  { mimetype: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mimetype: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47] },
+  { mimetype: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimetype: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+  { mimetype: 'audio/ogg', bytes: [0x4F, 0x67, 0x67, 0x53] },
+  { mimetype: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { mimetype: 'audio/mpeg', bytes: [0xFF, 0xFB] },
+  { mimetype: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] }
+];
+
+// Extension fallback when the content is not recognised (or is a generic zip container)
+const EXTENSION_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.zip': 'application/zip',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.3gp': 'video/3gpp',
+  '.mov': 'video/quicktime'
+};
+
+// Helper function to build an error carrying the HTTP status the routes should answer with
+function mediaError(message, statusCode = 400) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+/**
+ * Get the usual file extension of a MIME type (with the dot), or an empty string if unknown
+ */
+function extensionFor(mimetype = '') {
+  const type = mimetype.split(';')[0].trim();
+  const extension = Object.keys(EXTENSION_TYPES).find(candidate => EXTENSION_TYPES[candidate] === type);
+  return extension || '';
+}
+
+/**
+ * Detect the MIME type of a buffer from its content, falling back to the file extension
+ */
+function detectMimeType(buffer, filename = '') {
+  const byExtension = EXTENSION_TYPES[path.extname(filename).toLowerCase()] || null;
+  const ascii = (start, end) => buffer.subarray(start, end).toString('ascii');
+
+  let byContent = null;
+  const signature = SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  if (signature) {
+    byContent = signature.mimetype;
+  } else if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    byContent = 'image/webp';
+  } else if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') {
+    byContent = 'audio/wav';
+  } else if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    byContent = brand === 'M4A ' ? 'audio/mp4' : brand === 'qt  ' ? 'video/quicktime' : brand.startsWith('3g') ? 'video/3gpp' : 'video/mp4';
+  }
+
+  // Office documents are zip containers, trust the extension to tell them apart
+  if (byContent === 'application/zip' && byExtension) {
+    return byExtension;
+  }
+
+  return byContent || byExtension || 'application/octet-stream';
+}
+
+// Helper function to check an address against BLOCKED_ADDRESSES
+function isBlockedAddress(address, family) {
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup for media downloads that fails on non-public addresses. It runs as the socket connects,
+// so the address checked is the address connected to and a host re-resolving to a private one (DNS rebinding) is refused
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(mediaError(`Could not resolve media host ${hostname}`, 422));
+    }
+    if (addresses.some(({ address, family }) => isBlockedAddress(address, family))) {
+      return callback(mediaError('Media url must point to a public address'));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Connections of media downloads, every host name goes through publicLookup
+const mediaAgent = new Agent({ connect: { lookup: publicLookup } });
+
+// Helper function to refuse urls that are not http(s) or name a non-public IP literal
+// IP literals never reach a DNS lookup, host names are checked by publicLookup when connecting
+function checkPublicHost(url) {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw mediaError('Media url must use http or https');
+  }
+
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host) && isBlockedAddress(host, net.isIP(host))) {
+    throw mediaError('Media url must point to a public address');
+  }
+}
+
+// Helper function to download a URL into a buffer without exceeding MAX_FILE_SIZE or DOWNLOAD_TIMEOUT_MS
+// Redirects are followed by hand so every hop is checked against BLOCKED_ADDRESSES
+async function downloadMedia(url) {
+  let current;
+  try {
+    current = new URL(url);
+  } catch (error) {
+    throw mediaError(`Invalid url: ${url}`);
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+
+  try {
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      checkPublicHost(current);
+      response = await fetch(current, { redirect: 'manual', signal: controller.signal, dispatcher: mediaAgent });
+
+      const location = response.headers.get('location');
+      if (![301, 302, 303, 307, 308].includes(response.status) || !location) {
+        break;
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        throw mediaError(`Could not download media from url (more than ${MAX_REDIRECTS} redirects)`, 422);
+      }
+      current = new URL(location, current);
+    }
+
+    if (!response.ok) {
+      throw mediaError(`Could not download media from url (HTTP ${response.status})`, 422);
+    }
+
+    const declaredSize = parseInt(response.headers.get('content-length'));
+    if (declaredSize > MAX_FILE_SIZE) {
+      throw mediaError(`File exceeds the maximum size of ${MAX_FILE_SIZE} bytes`, 413);
+    }
+
+    // Read the body incrementally so a missing or lying content-length cannot exhaust memory
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > MAX_FILE_SIZE) {
+        throw mediaError(`File exceeds the maximum size of ${MAX_FILE_SIZE} bytes`, 413);
+      }
+      chunks.push(chunk);
+    }
+
+    return {
+      buffer: Buffer.concat(chunks),
+      mimetype: (response.headers.get('content-type') || '').split(';')[0].trim() || null,
+      filename: decodeURIComponent(path.basename(current.pathname)) || null
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    // Refusals of publicLookup surface as the cause of a fetch error
+    if (error.cause && error.cause.statusCode) {
+      throw error.cause;
+    }
+    if (controller.signal.aborted) {
+      throw mediaError(`Could not download media from url within ${DOWNLOAD_TIMEOUT_MS}ms`, 422);
+    }
+    throw mediaError(`Could not download media from url (${error.cause ? error.cause.message : error.message})`, 422);
+  } finally {
+    // Also closes the connection when the body is abandoned halfway
+    clearTimeout(timer);
+    controller.abort();
+  }
+}
+
+/**
+ * Resolve the media of a send request into { buffer, mimetype, filename }
+ * Accepts exactly one of: a multer `file`, a `base64` string (raw or data URI) or a `url`
+ */
+async function resolveMedia({ file, base64, url, mimetype, filename }) {
+  const sources = [file, base64, url].filter(Boolean);
+  if (sources.length !== 1) {
+    throw mediaError('Provide exactly one media source: multipart file, base64 or url');
+  }
+
+  let media;
+
+  if (file) {
+    media = { buffer: file.buffer, mimetype: null, filename: file.originalname };
+  } else if (base64) {
+    const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(base64);
+    const data = (match ? match[2] : base64).replace(/\s/g, '');
+
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(data) || data.length === 0) {
+      throw mediaError('base64 is not valid base64 data');
+    }
+
+    media = { buffer: Buffer.from(data, 'base64'), mimetype: match ? match[1] : null, filename: null };
+  } else {
+    media = await downloadMedia(url);
+  }
+
+  if (media.buffer.length > MAX_FILE_SIZE) {
+    throw mediaError(`File exceeds the maximum size of ${MAX_FILE_SIZE} bytes`, 413);
+  }
+
+  // Explicit values from the caller win over anything we detected
+  const givenFilename = filename || media.filename;
+  const detected = detectMimeType(media.buffer, givenFilename || '');
+  const resolvedMimetype = mimetype || (detected !== 'application/octet-stream' ? detected : media.mimetype || detected);
+
+  // Name anonymous uploads after their type so recipients see a sensible extension
+  const extension = Object.keys(EXTENSION_TYPES).find(ext => EXTENSION_TYPES[ext] === resolvedMimetype) || '';
+
+  return {
+    buffer: media.buffer,
+    mimetype: resolvedMimetype,
+    filename: givenFilename || `file${extension}`
+  };
+}
+
+/**
+ * Convert an image to a 512x512 WebP sticker, preserving transparency
+ */
+async function toSticker(buffer) {
+  try {
+    return await sharp(buffer, { animated: true })
+      .resize(512, 512, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .webp({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    throw mediaError(`Could not convert image to sticker: ${error.message}`, 422);
+  }
+}
+
+/**
+ * Convert an image to the 640x640 JPEG WhatsApp uses for group and profile pictures
+ */
+async function toProfilePicture(buffer) {
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize(640, 640, { fit: 'cover' })
+      .jpeg({ quality: 85 })
+      .toBuffer();
+  } catch (error) {
+    throw mediaError(`Could not convert image to a picture: ${error.message}`, 422);
+  }
+}
+
+/**
+ * Encode a buffer as a data URI, the format wppconnect expects for file content
+ */
+function toDataUri(buffer, mimetype) {
+  return `data:${mimetype};base64,${buffer.toString('base64')}`;
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  MEDIA_TYPES,
+  detectMimeType,
+  extensionFor,
+  resolveMedia,
+  toSticker,
+  toProfilePicture,
+  toDataUri
+};
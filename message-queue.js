@@ -0,0 +1,495 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+
+// Queues are persisted per session on the data volume so nothing is lost across restarts
+const QUEUE_DIR = path.join(__dirname, 'data', 'queue');
+
+const DEFAULT_RATE_PER_MINUTE = parseInt(process.env.QUEUE_RATE_PER_MINUTE) || 20;
+const DEFAULT_JITTER_MS = parseInt(process.env.QUEUE_JITTER_MS) || 2000;
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.QUEUE_RETRY_BASE_DELAY_MS) || 5000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+const RETENTION_HOURS = parseInt(process.env.QUEUE_RETENTION_HOURS) || 72;
+
+const JOB_STATUSES = ['queued', 'sending', 'sent', 'failed', 'cancelled'];
+
+// Send errors that another attempt cannot fix because the job itself is wrong: a recipient that does not exist or
+// an unknown job type
+const PERMANENT_ERRORS = [
+  /^Unsupported job type/,
+  /does not exist on WhatsApp/i,
+  /invalid wid/i,
+  /^Chat .+ not found/i,
+  /^GroupId .+ not exists/i,
+  /^Contact not found/i
+];
+
+// Send errors of the session rather than the job: isAuthenticated also reports false while the phone reconnects
+// or the browser fails to launch, so these hold the queue until the session is back instead of failing jobs
+const SESSION_ERRORS = [
+  /^Session not authenticated$/,
+  /^Authentication check failed/
+];
+
+// How each job type is sent - resolves with the { success, result, error } shape of the wpp module
+const SENDERS = {
+  text: (sessionName, job) => wpp.sendText(sessionName, job.to, job.payload.message)
+};
+
+// Helper function to check for an own key, so names such as `constructor` never match a prototype property
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Helper function to tell whether a failed send may succeed when retried
+function isRetryable(error) {
+  return !PERMANENT_ERRORS.some(pattern => pattern.test(String(error || '')));
+}
+
+// Helper function to tell whether a failed send means the session, not the job, is at fault
+function isSessionError(error) {
+  return SESSION_ERRORS.some(pattern => pattern.test(String(error || '')));
+}
+
+// Queue cache - one { paused, ratePerMinute, jitterMs, jobs } object per session name
+const queues = new Map();
+
+// Worker state per session: { timer, dueAt, running, inFlight, lastSentAt, heldUntil, sessionFailures }
+const workers = new Map();
+
+// Set while the server shuts down - no new sends are started
+let draining = false;
+
+// Helper function to load (and cache) the queue of a session
+function loadQueue(sessionName) {
+  if (queues.has(sessionName)) {
+    return queues.get(sessionName);
+  }
+
+  const queuePath = path.join(QUEUE_DIR, `${sessionName}.json`);
+  let queue = { paused: false, ratePerMinute: null, jitterMs: null, jobs: [] };
+
+  try {
+    if (fs.existsSync(queuePath)) {
+      queue = { ...queue, ...JSON.parse(fs.readFileSync(queuePath, 'utf8')) };
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not read queue for session ${sessionName}: ${error.message}`);
+  }
+
+  // A job left in "sending" was interrupted by a crash or restart, send it again
+  queue.jobs.forEach(job => {
+    if (job.status === 'sending') {
+      job.status = 'queued';
+    }
+  });
+
+  queues.set(sessionName, queue);
+  return queue;
+}
+
+// Helper function to persist the queue of a session, pruning finished jobs past retention
+function saveQueue(sessionName) {
+  const queue = loadQueue(sessionName);
+  const cutoff = Date.now() - RETENTION_HOURS * 60 * 60 * 1000;
+
+  queue.jobs = queue.jobs.filter(job =>
+    ['queued', 'sending'].includes(job.status) || new Date(job.updatedAt).getTime() >= cutoff
+  );
+
+  const queuePath = path.join(QUEUE_DIR, `${sessionName}.json`);
+  fs.mkdirSync(QUEUE_DIR, { recursive: true });
+  fs.writeFileSync(`${queuePath}.tmp`, JSON.stringify(queue));
+  fs.renameSync(`${queuePath}.tmp`, queuePath);
+}
+
+// Helper function to update a job, persist it and announce the change on the session event bus
+function updateJob(sessionName, job, changes) {
+  updateJobs(sessionName, [job], changes);
+}
+
+// Helper function to update several jobs with a single write of the queue file
+function updateJobs(sessionName, jobs, changes) {
+  const updatedAt = new Date().toISOString();
+  jobs.forEach(job => Object.assign(job, changes, { updatedAt }));
+  saveQueue(sessionName);
+  jobs.forEach(job => wpp.sessionEvents.emit('queue-job', { sessionName, job: { ...job } }));
+}
+
+// Helper function to compute the pause between two sends of a session
+function sendInterval(queue) {
+  const rate = queue.ratePerMinute || DEFAULT_RATE_PER_MINUTE;
+  const jitter = queue.jitterMs !== null && queue.jitterMs !== undefined ? queue.jitterMs : DEFAULT_JITTER_MS;
+  return Math.round(60000 / rate + Math.random() * jitter);
+}
+
+// Helper function to (re)arm the worker timer of a session
+function scheduleWorker(sessionName, delay) {
+  const worker = workers.get(sessionName) || { timer: null, dueAt: null, running: false, inFlight: null, lastSentAt: 0, heldUntil: 0, sessionFailures: 0 };
+  workers.set(sessionName, worker);
+
+  // The running worker reschedules itself when it finishes
+  if (worker.running || draining) {
+    return;
+  }
+
+  const dueAt = Date.now() + Math.max(0, delay);
+  if (worker.timer && worker.dueAt <= dueAt) {
+    return;
+  }
+
+  clearTimeout(worker.timer);
+  worker.dueAt = dueAt;
+  worker.timer = setTimeout(() => {
+    worker.timer = null;
+    worker.dueAt = null;
+    worker.inFlight = processNext(sessionName).catch(error => {
+      console.error(`❌ Queue worker error for session ${sessionName}:`, error.message);
+    }).finally(() => {
+      worker.inFlight = null;
+    });
+  }, Math.max(0, delay));
+}
+
+// Helper function to wake the worker of a session, respecting its send rate
+function kickWorker(sessionName) {
+  const queue = loadQueue(sessionName);
+  if (queue.paused) {
+    return;
+  }
+
+  const worker = workers.get(sessionName);
+  const nextAllowedAt = worker ? worker.lastSentAt + 60000 / (queue.ratePerMinute || DEFAULT_RATE_PER_MINUTE) : 0;
+  scheduleWorker(sessionName, nextAllowedAt - Date.now());
+}
+
+// Send the next due job of a session, then schedule the following one
+async function processNext(sessionName) {
+  const queue = loadQueue(sessionName);
+  if (queue.paused) {
+    return;
+  }
+
+  const now = Date.now();
+  const worker = workers.get(sessionName);
+
+  // The session is down - wait for it (or for the lifecycle to report it ready) before trying any job
+  if (worker.heldUntil > now) {
+    scheduleWorker(sessionName, worker.heldUntil - now);
+    return;
+  }
+
+  const pending = queue.jobs.filter(job => job.status === 'queued');
+  const job = pending.find(candidate => new Date(candidate.nextAttemptAt).getTime() <= now);
+
+  if (!job) {
+    // Nothing due yet - sleep until the earliest retry, if any
+    if (pending.length > 0) {
+      const nextDue = Math.min(...pending.map(candidate => new Date(candidate.nextAttemptAt).getTime()));
+      scheduleWorker(sessionName, nextDue - now);
+    }
+    return;
+  }
+
+  worker.running = true;
+
+  try {
+    updateJob(sessionName, job, { status: 'sending', attempts: job.attempts + 1 });
+
+    let result;
+    try {
+      result = hasOwn(SENDERS, job.type)
+        ? await SENDERS[job.type](sessionName, job)
+        : { success: false, error: `Unsupported job type: ${job.type}` };
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    worker.lastSentAt = Date.now();
+
+    if (result.success) {
+      worker.sessionFailures = 0;
+      updateJob(sessionName, job, {
+        status: 'sent',
+        messageId: result.result && result.result.id,
+        sentAt: new Date().toISOString(),
+        lastError: null
+      });
+      console.log(`📤 Queue job ${job.id} sent for session: ${sessionName}`);
+    } else if (isSessionError(result.error)) {
+      // Not the job's fault: put it back without using up an attempt and hold the whole queue
+      const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, worker.sessionFailures), RETRY_MAX_DELAY_MS);
+      worker.sessionFailures += 1;
+      worker.heldUntil = Date.now() + delay;
+      updateJob(sessionName, job, { status: 'queued', attempts: job.attempts - 1, lastError: result.error });
+      console.log(`⏸️ Queue for session ${sessionName} held for ${delay}ms: ${result.error}`);
+    } else if (!isRetryable(result.error)) {
+      updateJob(sessionName, job, { status: 'failed', lastError: result.error });
+      console.log(`❌ Queue job ${job.id} failed and will not be retried: ${result.error}`);
+    } else if (job.attempts >= job.maxAttempts) {
+      updateJob(sessionName, job, { status: 'failed', lastError: result.error });
+      console.log(`❌ Queue job ${job.id} failed after ${job.attempts} attempts: ${result.error}`);
+    } else {
+      const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1), RETRY_MAX_DELAY_MS);
+      updateJob(sessionName, job, {
+        status: 'queued',
+        lastError: result.error,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString()
+      });
+      console.log(`⚠️ Queue job ${job.id} attempt ${job.attempts} failed (${result.error}), retrying in ${delay}ms`);
+    }
+  } finally {
+    worker.running = false;
+  }
+
+  if (queue.jobs.some(candidate => candidate.status === 'queued')) {
+    scheduleWorker(sessionName, Math.max(sendInterval(queue), worker.heldUntil - Date.now()));
+  }
+}
+
+// A session that is ready again releases its held queue right away
+wpp.sessionEvents.on('lifecycle-change', ({ sessionName, to }) => {
+  const worker = workers.get(sessionName);
+  if (to === 'ready' && worker && worker.heldUntil) {
+    worker.heldUntil = 0;
+    worker.sessionFailures = 0;
+    kickWorker(sessionName);
+  }
+});
+
+/**
+ * Add a job to the queue of a session
+ * When the idempotency key was already used, the existing job is returned with `duplicate: true`
+ */
+function enqueue(sessionName, spec) {
+  return enqueueMany(sessionName, [spec])[0];
+}
+
+/**
+ * Add several jobs to the queue of a session, writing the queue file once for the whole batch
+ * Returns one { job, duplicate } per spec, in the same order
+ */
+function enqueueMany(sessionName, specs) {
+  const queue = loadQueue(sessionName);
+
+  const unsupported = specs.find(({ type = 'text' }) => !hasOwn(SENDERS, type));
+  if (unsupported) {
+    throw new Error(`Unsupported job type: ${unsupported.type}`);
+  }
+
+  const now = new Date().toISOString();
+  const created = [];
+  const jobsByKey = new Map(queue.jobs.filter(job => job.idempotencyKey).map(job => [job.idempotencyKey, job]));
+
+  const results = specs.map(({ type = 'text', to, payload, idempotencyKey = null, maxAttempts = MAX_ATTEMPTS, metadata = null }) => {
+    if (idempotencyKey && jobsByKey.has(idempotencyKey)) {
+      return { job: { ...jobsByKey.get(idempotencyKey) }, duplicate: true };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      idempotencyKey,
+      type,
+      to,
+      payload,
+      metadata,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts,
+      nextAttemptAt: now,
+      lastError: null,
+      messageId: null,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null
+    };
+
+    queue.jobs.push(job);
+    created.push(job);
+    if (idempotencyKey) {
+      jobsByKey.set(idempotencyKey, job);
+    }
+    return { job: { ...job }, duplicate: false };
+  });
+
+  if (created.length > 0) {
+    saveQueue(sessionName);
+    created.forEach(job => wpp.sessionEvents.emit('queue-job', { sessionName, job: { ...job } }));
+    kickWorker(sessionName);
+  }
+
+  return results;
+}
+
+/**
+ * Get the queue state of a session: settings, counters per status and (optionally filtered) jobs
+ */
+function getQueue(sessionName, { status } = {}) {
+  const queue = loadQueue(sessionName);
+
+  const counts = {};
+  JOB_STATUSES.forEach(jobStatus => {
+    counts[jobStatus] = queue.jobs.filter(job => job.status === jobStatus).length;
+  });
+
+  return {
+    sessionName,
+    paused: queue.paused,
+    ratePerMinute: queue.ratePerMinute || DEFAULT_RATE_PER_MINUTE,
+    jitterMs: queue.jitterMs !== null && queue.jitterMs !== undefined ? queue.jitterMs : DEFAULT_JITTER_MS,
+    counts,
+    jobs: status ? queue.jobs.filter(job => job.status === status) : queue.jobs
+  };
+}
+
+/**
+ * Get a single job, or null if it does not exist
+ */
+function getJob(sessionName, jobId) {
+  const job = loadQueue(sessionName).jobs.find(candidate => candidate.id === jobId);
+  return job ? { ...job } : null;
+}
+
+/**
+ * Cancel a queued job, returns null if it does not exist
+ * Jobs already sent, failed or cancelled are returned unchanged with `cancelled: false`
+ */
+function cancelJob(sessionName, jobId) {
+  return cancelJobs(sessionName, [jobId])[0];
+}
+
+/**
+ * Cancel several queued jobs, writing the queue file once for the whole batch
+ * Returns one result per job id, in the same order, like cancelJob
+ */
+function cancelJobs(sessionName, jobIds) {
+  const jobsById = new Map(loadQueue(sessionName).jobs.map(job => [job.id, job]));
+  const cancellable = new Set();
+
+  const jobs = jobIds.map(jobId => {
+    const job = jobsById.get(jobId) || null;
+    if (job && job.status === 'queued') {
+      cancellable.add(job);
+    }
+    return job;
+  });
+
+  if (cancellable.size > 0) {
+    updateJobs(sessionName, Array.from(cancellable), { status: 'cancelled' });
+  }
+
+  return jobs.map(job => job ? { job: { ...job }, cancelled: cancellable.has(job) } : null);
+}
+
+/**
+ * Pause the queue of a session - queued jobs stay queued until resumed
+ */
+function pauseQueue(sessionName) {
+  const queue = loadQueue(sessionName);
+  queue.paused = true;
+  saveQueue(sessionName);
+
+  const worker = workers.get(sessionName);
+  if (worker && worker.timer) {
+    clearTimeout(worker.timer);
+    worker.timer = null;
+    worker.dueAt = null;
+  }
+
+  console.log(`⏸️ Queue paused for session: ${sessionName}`);
+  return getQueue(sessionName, { status: 'queued' });
+}
+
+/**
+ * Resume the queue of a session
+ */
+function resumeQueue(sessionName) {
+  const queue = loadQueue(sessionName);
+  queue.paused = false;
+  saveQueue(sessionName);
+
+  console.log(`▶️ Queue resumed for session: ${sessionName}`);
+  kickWorker(sessionName);
+  return getQueue(sessionName, { status: 'queued' });
+}
+
+/**
+ * Update the throttling settings of a session queue (null restores the default)
+ */
+function configureQueue(sessionName, { ratePerMinute, jitterMs }) {
+  const queue = loadQueue(sessionName);
+
+  if (ratePerMinute !== undefined) {
+    queue.ratePerMinute = ratePerMinute;
+  }
+  if (jitterMs !== undefined) {
+    queue.jitterMs = jitterMs;
+  }
+
+  saveQueue(sessionName);
+  return getQueue(sessionName, { status: 'queued' });
+}
+
+/**
+ * Restart the workers of every persisted queue that still has pending jobs
+ */
+function restoreQueues() {
+  if (!fs.existsSync(QUEUE_DIR)) {
+    return;
+  }
+
+  fs.readdirSync(QUEUE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      const sessionName = path.basename(file, '.json');
+      const queue = loadQueue(sessionName);
+      const pending = queue.jobs.filter(job => job.status === 'queued').length;
+
+      if (pending > 0) {
+        console.log(`📬 Restoring queue for session ${sessionName} with ${pending} pending jobs${queue.paused ? ' (paused)' : ''}`);
+        kickWorker(sessionName);
+      }
+    });
+}
+
+/**
+ * Stop starting new sends and wait for the ones in flight to finish
+ * Queued jobs stay persisted and are picked up again by restoreQueues on the next start
+ */
+async function drainQueues() {
+  draining = true;
+
+  const inFlight = [];
+  workers.forEach(worker => {
+    clearTimeout(worker.timer);
+    worker.timer = null;
+    worker.dueAt = null;
+    if (worker.inFlight) {
+      inFlight.push(worker.inFlight);
+    }
+  });
+
+  if (inFlight.length > 0) {
+    console.log(`📬 Waiting for ${inFlight.length} in-flight queue sends to finish`);
+  }
+  await Promise.all(inFlight);
+}
+
+module.exports = {
+  JOB_STATUSES,
+  enqueue,
+  enqueueMany,
+  getQueue,
+  getJob,
+  cancelJob,
+  cancelJobs,
+  pauseQueue,
+  resumeQueue,
+  configureQueue,
+  restoreQueues,
+  drainQueues
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+
+// Ack histories are persisted per session on the data volume
+const STATUS_DIR = path.join(__dirname, 'data', 'message-status');
+
+const RETENTION_DAYS = parseInt(process.env.MESSAGE_STATUS_RETENTION_DAYS) || 30;
+const SAVE_DELAY_MS = 1000;
+
+// WhatsApp ack levels of an outbound message
+const ACK_STATUSES = {
+  '-1': 'failed',
+  '0': 'pending',
+  '1': 'sent',
+  '2': 'delivered',
+  '3': 'read',
+  '4': 'played'
+};
+
+// Store cache - one { messageId: record } object per session name
+const stores = new Map();
+const pendingSaves = new Map();
+
+// Helper function to drop the records of a store not updated within the retention
+function pruneExpired(store) {
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  Object.keys(store).forEach(messageId => {
+    if (new Date(store[messageId].updatedAt).getTime() < cutoff) {
+      delete store[messageId];
+    }
+  });
+}
+
+// Helper function to load (and cache) the ack store of a session, dropping expired records
+function loadStore(sessionName) {
+  if (stores.has(sessionName)) {
+    return stores.get(sessionName);
+  }
+
+  const storePath = path.join(STATUS_DIR, `${sessionName}.json`);
+  let store = {};
+
+  try {
+    if (fs.existsSync(storePath)) {
+      store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not read message status store for session ${sessionName}: ${error.message}`);
+  }
+
+  pruneExpired(store);
+  stores.set(sessionName, store);
+  return store;
+}
+
+// Helper function to persist a session store, batching bursts of acks into one write
+function scheduleSave(sessionName) {
+  if (pendingSaves.has(sessionName)) {
+    return;
+  }
+
+  pendingSaves.set(sessionName, setTimeout(() => {
+    pendingSaves.delete(sessionName);
+    flush(sessionName);
+  }, SAVE_DELAY_MS));
+}
+
+/**
+ * Write the ack store of a session (or of every session) to disk immediately
+ * Expired records are dropped on every write, so a long-running server does not grow the store forever
+ */
+function flush(sessionName) {
+  const sessionNames = sessionName ? [sessionName] : Array.from(stores.keys());
+
+  sessionNames.forEach(name => {
+    if (pendingSaves.has(name)) {
+      clearTimeout(pendingSaves.get(name));
+      pendingSaves.delete(name);
+    }
+
+    try {
+      const store = loadStore(name);
+      pruneExpired(store);
+
+      const storePath = path.join(STATUS_DIR, `${name}.json`);
+      fs.mkdirSync(STATUS_DIR, { recursive: true });
+      fs.writeFileSync(`${storePath}.tmp`, JSON.stringify(store));
+      fs.renameSync(`${storePath}.tmp`, storePath);
+    } catch (error) {
+      console.log(`⚠️ Could not persist message status for session ${name}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Record an ack level for an outbound message
+ * Only forward progress is recorded (a late "sent" after "read" is ignored), except for failures.
+ * Emits `ack-change` on the session event bus for every recorded transition.
+ */
+function recordAck(sessionName, { id, to, ack }) {
+  if (!id || ack === undefined || ack === null) {
+    return null;
+  }
+
+  const store = loadStore(sessionName);
+  const now = new Date().toISOString();
+  let record = store[id];
+
+  if (!record) {
+    record = store[id] = {
+      id,
+      to: to || null,
+      ack: null,
+      status: null,
+      history: [],
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  if (record.ack !== null && (ack === record.ack || (ack < record.ack && ack !== -1))) {
+    return record;
+  }
+
+  const previousAck = record.ack;
+  record.ack = ack;
+  record.status = ACK_STATUSES[ack] || 'unknown';
+  record.updatedAt = now;
+  record.history.push({ ack, status: record.status, at: now });
+
+  scheduleSave(sessionName);
+
+  wpp.sessionEvents.emit('ack-change', {
+    sessionName,
+    status: { ...record, previousAck }
+  });
+
+  return record;
+}
+
+/**
+ * Get the ack record of a message, or null if it was never tracked
+ */
+function getMessageStatus(sessionName, messageId) {
+  return loadStore(sessionName)[messageId] || null;
+}
+
+// Track outbound messages from the moment they are created, then every ack they receive
+wpp.sessionEvents.on('any-message', ({ sessionName, message }) => {
+  if (message.fromMe) {
+    const normalized = wpp.normalizeMessage(message);
+    recordAck(sessionName, { id: normalized.id, to: normalized.to, ack: message.ack });
+  }
+});
+
+wpp.sessionEvents.on('ack', ({ sessionName, ack }) => {
+  recordAck(sessionName, wpp.normalizeAck(ack));
+});
+
+module.exports = {
+  ACK_STATUSES,
+  recordAck,
+  getMessageStatus,
+  flush
+};
@@ -0,0 +1,376 @@
+const fs = require('fs');
+const path = require('path');
+
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+
+// Message history is persisted per session and chat on the data volume
+const MESSAGES_DIR = path.join(__dirname, 'data', 'messages');
+
+const RETENTION_DAYS = parseInt(process.env.MESSAGE_STORE_RETENTION_DAYS) || 90;
+const SAVE_DELAY_MS = 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Chats not read or written for this long are dropped from memory by the sweep, they reload from disk on demand
+const CACHE_IDLE_MS = 10 * 60 * 1000;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_BACKFILL = 1000;
+
+// Chat cache - one { messageId: record } object per `sessionName/chatId`
+const chats = new Map();
+const lastAccess = new Map();
+const pendingSaves = new Map();
+
+let sweepTimer = null;
+
+// Helper function to build an error carrying its HTTP status
+function storeError(message, statusCode = 400) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+// Helper function to locate the file of a chat (chat ids only hold digits, letters, `@`, `.` and `-`)
+function chatPath(sessionName, chatId) {
+  return path.join(MESSAGES_DIR, sessionName, `${chatId.replace(/[^\w.@-]/g, '_')}.json`);
+}
+
+// Helper function to order messages by their WhatsApp timestamp
+function sortKey(record) {
+  return `${record.timestamp || record.storedAt}|${record.id}`;
+}
+
+// Helper function to compare sort keys the same way the cursor filter does
+function byKey(a, b) {
+  const keyA = sortKey(a);
+  const keyB = sortKey(b);
+  return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+}
+
+// Helper function to remove the messages of a chat older than the retention, returns how many were removed
+function pruneExpired(chat) {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const expired = Object.keys(chat).filter(messageId => (chat[messageId].timestamp || chat[messageId].storedAt) < cutoff);
+  expired.forEach(messageId => {
+    delete chat[messageId];
+  });
+  return expired.length;
+}
+
+// Helper function to load (and cache) the history of a chat, dropping expired messages
+function loadChat(sessionName, chatId) {
+  const key = `${sessionName}/${chatId}`;
+  lastAccess.set(key, Date.now());
+  if (chats.has(key)) {
+    return chats.get(key);
+  }
+
+  let chat = {};
+  try {
+    const filePath = chatPath(sessionName, chatId);
+    if (fs.existsSync(filePath)) {
+      chat = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not read message history of ${chatId} for session ${sessionName}: ${error.message}`);
+  }
+
+  pruneExpired(chat);
+  chats.set(key, chat);
+  return chat;
+}
+
+// Helper function to persist a chat, batching bursts of messages into one write
+function scheduleSave(sessionName, chatId) {
+  const key = `${sessionName}/${chatId}`;
+  if (pendingSaves.has(key)) {
+    return;
+  }
+
+  pendingSaves.set(key, setTimeout(() => {
+    pendingSaves.delete(key);
+    saveChat(key);
+  }, SAVE_DELAY_MS));
+}
+
+// Helper function to write one cached chat to disk
+function saveChat(key) {
+  const separator = key.indexOf('/');
+  const sessionName = key.slice(0, separator);
+  const chatId = key.slice(separator + 1);
+
+  try {
+    const filePath = chatPath(sessionName, chatId);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(chats.get(key)));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  } catch (error) {
+    console.log(`⚠️ Could not persist message history of ${chatId} for session ${sessionName}: ${error.message}`);
+  }
+}
+
+/**
+ * Write every chat with unsaved messages to disk immediately
+ */
+function flush() {
+  Array.from(pendingSaves.keys()).forEach(key => {
+    clearTimeout(pendingSaves.get(key));
+    pendingSaves.delete(key);
+    saveChat(key);
+  });
+}
+
+/**
+ * Remove expired messages from every chat, on disk and in memory, and drop idle chats from memory
+ * Returns { removed, evicted }: expired messages removed and chats dropped from memory
+ */
+function sweepStore() {
+  let removed = 0;
+  let evicted = 0;
+
+  // Cached chats are the up-to-date copy, prune them and write them back
+  Array.from(chats.keys()).forEach(key => {
+    const expired = pruneExpired(chats.get(key));
+    removed += expired;
+
+    if (pendingSaves.has(key)) {
+      return;
+    }
+    if (expired > 0) {
+      saveChat(key);
+    }
+    if (Date.now() - (lastAccess.get(key) || 0) > CACHE_IDLE_MS) {
+      chats.delete(key);
+      lastAccess.delete(key);
+      evicted++;
+    }
+  });
+
+  // Chats that are not in memory are pruned straight on disk, empty ones are deleted
+  if (fs.existsSync(MESSAGES_DIR)) {
+    fs.readdirSync(MESSAGES_DIR, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(({ name: sessionName }) => {
+        const sessionDir = path.join(MESSAGES_DIR, sessionName);
+
+        fs.readdirSync(sessionDir)
+          .filter(file => file.endsWith('.json') && !chats.has(`${sessionName}/${file.slice(0, -'.json'.length)}`))
+          .forEach(file => {
+            const filePath = path.join(sessionDir, file);
+            try {
+              const chat = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+              const expired = pruneExpired(chat);
+              if (expired === 0 && Object.keys(chat).length > 0) {
+                return;
+              }
+
+              removed += expired;
+              if (Object.keys(chat).length === 0) {
+                fs.rmSync(filePath, { force: true });
+              } else {
+                fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(chat));
+                fs.renameSync(`${filePath}.tmp`, filePath);
+              }
+            } catch (error) {
+              console.log(`⚠️ Could not prune message history ${file} of session ${sessionName}: ${error.message}`);
+            }
+          });
+      });
+  }
+
+  if (removed > 0 || evicted > 0) {
+    console.log(`🗄️ Message store sweep: removed ${removed} messages older than ${RETENTION_DAYS} days, unloaded ${evicted} idle chats`);
+  }
+  return { removed, evicted };
+}
+
+/**
+ * Start the periodic message store sweep
+ */
+function startStoreSweep() {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(() => {
+    try {
+      sweepStore();
+    } catch (error) {
+      console.error('❌ Message store sweep error:', error.message);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+/**
+ * Stop the periodic message store sweep
+ */
+function stopStoreSweep() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+/**
+ * Store a wppconnect message (inbound or outbound), returns true if it was not stored yet
+ */
+function storeMessage(sessionName, message) {
+  const normalized = wpp.normalizeMessage(message);
+  if (!normalized.id || !normalized.chatId) {
+    return false;
+  }
+
+  const chat = loadChat(sessionName, normalized.chatId);
+  const isNew = !chat[normalized.id];
+
+  chat[normalized.id] = {
+    ...normalized,
+    direction: normalized.fromMe ? 'outbound' : 'inbound',
+    storedAt: isNew ? new Date().toISOString() : chat[normalized.id].storedAt
+  };
+  scheduleSave(sessionName, normalized.chatId);
+
+  return isNew;
+}
+
+// Helper function to parse an optional ISO date query parameter
+function parseDate(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw storeError(`${name} must be an ISO 8601 date, e.g. 2024-01-15T10:30:00Z`);
+  }
+  return date.toISOString();
+}
+
+// Helper function to read a pagination cursor back into a sort key
+function decodeCursor(cursor) {
+  try {
+    const decoded = Buffer.from(cursor, 'base64url').toString('utf8');
+    if (decoded.includes('|')) {
+      return decoded;
+    }
+  } catch (error) {
+    // Falls through to the error below
+  }
+  throw storeError('Invalid cursor, pass the nextCursor of a previous page');
+}
+
+/**
+ * Query the stored history of a chat
+ * @param {Object} query - { limit, cursor, since, until, direction: inbound|outbound, q (text search), order: desc|asc }
+ * Returns { messages, nextCursor } where nextCursor is null on the last page
+ */
+function queryMessages(sessionName, chatId, query = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const since = parseDate(query.since, 'since');
+  const until = parseDate(query.until, 'until');
+  const order = query.order || 'desc';
+  const search = query.q ? String(query.q).toLowerCase() : null;
+
+  if (query.direction && !['inbound', 'outbound'].includes(query.direction)) {
+    throw storeError('direction must be inbound or outbound');
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    throw storeError('order must be asc or desc');
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+
+  const matches = Object.values(loadChat(sessionName, chatId))
+    .filter(record => !query.direction || record.direction === query.direction)
+    .filter(record => {
+      const at = record.timestamp || record.storedAt;
+      return (!since || at >= since) && (!until || at <= until);
+    })
+    .filter(record => !search || [record.body, record.caption, record.filename]
+      .some(text => text && text.toLowerCase().includes(search)))
+    .filter(record => !cursor || (order === 'desc' ? sortKey(record) < cursor : sortKey(record) > cursor))
+    .sort((a, b) => (order === 'desc' ? byKey(b, a) : byKey(a, b)));
+
+  const messages = matches.slice(0, limit);
+  const hasMore = matches.length > limit;
+
+  return {
+    messages,
+    nextCursor: hasMore ? Buffer.from(sortKey(messages[messages.length - 1])).toString('base64url') : null
+  };
+}
+
+/**
+ * Load older messages of a chat from the browser into the store
+ * Continues from the oldest stored message, so repeated calls walk back through the history
+ */
+async function backfillChat(sessionName, chatId, { count = 100 } = {}) {
+  const limit = Math.min(Math.max(parseInt(count) || 100, 1), MAX_BACKFILL);
+
+  const stored = Object.values(loadChat(sessionName, chatId))
+    .sort(byKey);
+  const oldest = stored.length > 0 ? stored[0] : null;
+
+  const result = await wpp.getChatMessages(sessionName, chatId, {
+    count: limit,
+    ...(oldest ? { id: oldest.id, direction: 'before' } : {})
+  });
+
+  if (!result.success) {
+    return result;
+  }
+
+  const added = result.messages.filter(message => storeMessage(sessionName, message)).length;
+  console.log(`🗄️ Backfilled ${added} messages of ${chatId} for session ${sessionName}`);
+
+  return {
+    success: true,
+    isAuthenticated: true,
+    loaded: result.messages.length,
+    added,
+    // A full page means the browser probably has more history before it
+    hasMore: result.messages.length === limit
+  };
+}
+
+// Record every message the session sends or receives
+wpp.sessionEvents.on('any-message', ({ sessionName, message }) => {
+  storeMessage(sessionName, message);
+});
+
+// Keep the ack of stored outbound messages current
+wpp.sessionEvents.on('ack-change', ({ sessionName, status }) => {
+  if (!status.to) {
+    return;
+  }
+
+  const chat = loadChat(sessionName, status.to);
+  if (chat[status.id]) {
+    chat[status.id].ack = status.ack;
+    scheduleSave(sessionName, status.to);
+  }
+});
+
+// Drop the history of a deleted session
+wpp.sessionEvents.on('session-deleted', ({ sessionName }) => {
+  Array.from(chats.keys())
+    .filter(key => key.startsWith(`${sessionName}/`))
+    .forEach(key => {
+      clearTimeout(pendingSaves.get(key));
+      pendingSaves.delete(key);
+      chats.delete(key);
+      lastAccess.delete(key);
+    });
+
+  fs.rmSync(path.join(MESSAGES_DIR, sessionName), { recursive: true, force: true });
+});
+
+module.exports = {
+  MAX_BACKFILL,
+  storeMessage,
+  queryMessages,
+  backfillChat,
+  flush,
+  sweepStore,
+  startStoreSweep,
+  stopStoreSweep
+};
@@ -0,0 +1,286 @@
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+const phoneNumbers = require('./phone-numbers');
+
+// Contact cards sent in one message
+const MAX_VCARD_CONTACTS = 20;
+
+// WhatsApp poll limits
+const MAX_POLL_OPTIONS = 12;
+
+// Fields every message type shares
+const COMMON_PROPERTIES = {
+  to: { type: 'string', minLength: 1, description: 'Phone number or WhatsApp id, same forms as send-message' }
+};
+
+// JSON Schema of the request body of each message type
+const MESSAGE_SCHEMAS = {
+  text: {
+    type: 'object',
+    required: ['type', 'to', 'message'],
+    additionalProperties: false,
+    properties: {
+      type: { enum: ['text'] },
+      ...COMMON_PROPERTIES,
+      message: { type: 'string', minLength: 1, maxLength: 65536 }
+    }
+  },
+  link: {
+    type: 'object',
+    required: ['type', 'to', 'url'],
+    additionalProperties: false,
+    properties: {
+      type: { enum: ['link'] },
+      ...COMMON_PROPERTIES,
+      url: { type: 'string', format: 'uri', description: 'http(s) link to preview, appended to the text when the text does not contain it' },
+      text: { type: 'string', maxLength: 65536 },
+      title: { type: 'string', maxLength: 256, description: 'Overrides the title of the fetched preview' },
+      description: { type: 'string', maxLength: 1024, description: 'Overrides the description of the fetched preview' }
+    }
+  },
+  location: {
+    type: 'object',
+    required: ['type', 'to', 'latitude', 'longitude'],
+    additionalProperties: false,
+    properties: {
+      type: { enum: ['location'] },
+      ...COMMON_PROPERTIES,
+      latitude: { type: 'number', minimum: -90, maximum: 90 },
+      longitude: { type: 'number', minimum: -180, maximum: 180 },
+      name: { type: 'string', maxLength: 256, description: 'Name of the place, shown as the pin title' },
+      address: { type: 'string', maxLength: 1024 },
+      url: { type: 'string', format: 'uri' }
+    }
+  },
+  vcard: {
+    type: 'object',
+    required: ['type', 'to', 'contacts'],
+    additionalProperties: false,
+    properties: {
+      type: { enum: ['vcard'] },
+      ...COMMON_PROPERTIES,
+      contacts: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_VCARD_CONTACTS,
+        description: 'One contact sends a single card, more send a contact list',
+        items: {
+          type: 'object',
+          required: ['id'],
+          additionalProperties: false,
+          properties: {
+            id: { type: 'string', minLength: 1, description: 'Phone number or WhatsApp id of the contact' },
+            name: { type: 'string', minLength: 1, maxLength: 256 }
+          }
+        }
+      }
+    }
+  },
+  poll: {
+    type: 'object',
+    required: ['type', 'to', 'name', 'options'],
+    additionalProperties: false,
+    properties: {
+      type: { enum: ['poll'] },
+      ...COMMON_PROPERTIES,
+      name: { type: 'string', minLength: 1, maxLength: 255, description: 'The question' },
+      options: {
+        type: 'array',
+        minItems: 2,
+        maxItems: MAX_POLL_OPTIONS,
+        uniqueItems: true,
+        items: { type: 'string', minLength: 1, maxLength: 100 }
+      },
+      selectableCount: { type: 'integer', minimum: 0, maximum: MAX_POLL_OPTIONS, description: 'Answers each voter may pick, 0 for any number' }
+    }
+  }
+};
+
+// Helper function to build an error carrying its HTTP status
+function messageError(message, statusCode = 400, details = {}) {
+  return Object.assign(new Error(message), { statusCode }, details);
+}
+
+// Helper function to check for an own key, so names such as `constructor` never match a prototype property
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Helper function to get the JSON Schema type of a value
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Helper function to check a value against the subset of JSON Schema used by MESSAGE_SCHEMAS
+// Returns a list of "path: problem" strings, empty when the value is valid
+function validate(value, schema, path = 'body') {
+  const actual = typeOf(value);
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+  }
+  if (schema.type && !(schema.type === actual || (schema.type === 'number' && actual === 'integer'))) {
+    return [`${path}: must be ${schema.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`}`];
+  }
+
+  const errors = [];
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path}: must not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.format === 'uri') {
+      let url = null;
+      try {
+        url = new URL(value);
+      } catch (error) {
+        // Reported below
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        errors.push(`${path}: must be an http(s) URL`);
+      }
+    }
+  }
+
+  if (actual === 'number' || actual === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push(`${path}: must not repeat items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    (schema.required || [])
+      .filter(field => value[field] === undefined)
+      .forEach(field => errors.push(`${path}.${field}: is required`));
+
+    Object.keys(value).forEach(field => {
+      if (schema.properties && hasOwn(schema.properties, field)) {
+        errors.push(...validate(value[field], schema.properties[field], `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field}: is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Helper function to resolve a phone number or WhatsApp id, naming the field in the error
+function resolveId(value, field) {
+  try {
+    return phoneNumbers.normalizeRecipient(value).wid;
+  } catch (error) {
+    const problem = `Invalid ${field}: ${error.message}`;
+    throw messageError(problem, 400, { errors: [problem] });
+  }
+}
+
+// How each message type is sent, with the validated body and the resolved recipient
+const SENDERS = {
+  text: (client, to, body) => client.sendText(to, body.message),
+
+  link: (client, to, body) => {
+    const text = body.text && body.text.includes(body.url) ? body.text : [body.text, body.url].filter(Boolean).join('\n');
+    const linkPreview = body.title || body.description
+      ? { ...(body.title ? { title: body.title } : {}), ...(body.description ? { description: body.description } : {}) }
+      : true;
+    return client.sendText(to, text, { linkPreview });
+  },
+
+  location: (client, to, body) => client.sendLocation(to, {
+    lat: body.latitude,
+    lng: body.longitude,
+    ...(body.name ? { name: body.name } : {}),
+    ...(body.address ? { address: body.address } : {}),
+    ...(body.url ? { url: body.url } : {})
+  }),
+
+  vcard: (client, to, body) => {
+    const [contact] = body.contacts;
+    return body.contacts.length === 1
+      ? client.sendContactVcard(to, contact.id, contact.name)
+      : client.sendContactVcardList(to, body.contacts.map(contact => (contact.name ? contact : contact.id)));
+  },
+
+  poll: (client, to, body) => client.sendPollMessage(to, body.name, body.options, { selectableCount: body.selectableCount || 0 })
+};
+
+/**
+ * Validate a message request against the schema of its type
+ * Throws a 400 error with an `errors` list of every problem found
+ */
+function validateMessage(body) {
+  if (!body || typeOf(body) !== 'object') {
+    throw messageError('Request body must be a JSON object', 400, { errors: ['body: must be an object'] });
+  }
+
+  if (typeof body.type !== 'string' || !hasOwn(MESSAGE_SCHEMAS, body.type) || !hasOwn(SENDERS, body.type)) {
+    const problem = `body.type: must be one of ${Object.keys(MESSAGE_SCHEMAS).join(', ')}`;
+    throw messageError(problem, 400, { errors: [problem] });
+  }
+
+  const errors = validate(body, MESSAGE_SCHEMAS[body.type]);
+  if (body.type === 'poll' && Number.isInteger(body.selectableCount) && Array.isArray(body.options) && body.selectableCount > body.options.length) {
+    errors.push('body.selectableCount: must not exceed the number of options');
+  }
+  if (errors.length > 0) {
+    throw messageError(`Invalid ${body.type} message: ${errors.join('; ')}`, 400, { errors });
+  }
+}
+
+/**
+ * Send a message of any supported type: text, link, location, vcard or poll
+ * Returns { success, result: { messageId, type, to, ack }, isAuthenticated } like wpp.withClient
+ */
+async function sendMessage(sessionName, body) {
+  validateMessage(body);
+  const to = resolveId(body.to, 'to');
+
+  // Contact cards take the same number forms as `to`
+  const message = body.type === 'vcard'
+    ? { ...body, contacts: body.contacts.map((contact, index) => ({ ...contact, id: resolveId(contact.id, `contacts[${index}].id`) })) }
+    : body;
+
+  return await wpp.withClient(sessionName, async (client) => {
+    const sent = await SENDERS[body.type](client, to, message);
+    const messageId = sent ? wpp.serializeId(sent.id) : null;
+
+    console.log(`📨 Sent ${body.type} message ${messageId} to ${to} for session ${sessionName}`);
+    return {
+      messageId,
+      type: body.type,
+      to,
+      ack: sent && sent.ack !== undefined ? sent.ack : null
+    };
+  });
+}
+
+module.exports = {
+  MESSAGE_SCHEMAS,
+  validateMessage,
+  sendMessage
+};
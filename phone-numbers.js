@@ -0,0 +1,103 @@
+// Country code added to local numbers (Panama by default)
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '507').replace(/\D/g, '');
+
+// Numbers without a `+` or `00` prefix and at most this many digits are local to DEFAULT_COUNTRY_CODE
+const LOCAL_NUMBER_MAX_DIGITS = 8;
+const LOCAL_NUMBER_MIN_DIGITS = 7;
+
+// E.164 allows at most 15 digits, country code included
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+// WhatsApp id suffixes and what the part before the `@` must look like
+const WID_FORMATS = {
+  'c.us': /^\d{7,15}$/,
+  'g.us': /^\d+(-\d+)?$/,
+  lid: /^\d+$/,
+  broadcast: /^(\d+|status)$/,
+  newsletter: /^\d+$/
+};
+
+// Helper function to build an error carrying its HTTP status
+function numberError(message, statusCode = 400) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+// Helper function to check a full WhatsApp id
+function normalizeWid(value) {
+  const parts = value.split('@');
+  if (parts.length !== 2) {
+    throw numberError(`Malformed WhatsApp id "${value}", it must contain a single @`);
+  }
+  const [user, server] = parts;
+
+  // Other libraries write personal ids with the multi-device server name
+  if (server === 's.whatsapp.net') {
+    return normalizeWid(`${user}@c.us`);
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(WID_FORMATS, server)) {
+    throw numberError(`Unsupported WhatsApp id "${value}", expected a suffix of ${Object.keys(WID_FORMATS).map(suffix => `@${suffix}`).join(', ')}`);
+  }
+  if (!WID_FORMATS[server].test(user)) {
+    throw numberError(`Malformed WhatsApp id "${value}"`);
+  }
+
+  return { wid: `${user}@${server}`, number: server === 'c.us' ? `+${user}` : null };
+}
+
+/**
+ * Resolve the `to` of a request into the WhatsApp id to send to
+ * Accepts WIDs (`50761234567@c.us`, `120363...@g.us`), E.164 (`+50761234567`), `00` international numbers,
+ * and local numbers that get DEFAULT_COUNTRY_CODE (`6123-4567`). Spaces, dashes, dots and parentheses are ignored.
+ * Returns { wid, number } (number is the E.164 form, null for groups and other non-personal ids)
+ * Throws an error with statusCode 400 explaining why the value is not usable
+ */
+function normalizeRecipient(value) {
+  if (typeof value === 'number') {
+    value = String(value);
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw numberError('Recipient must be a phone number or WhatsApp id');
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.includes('@')) {
+    return normalizeWid(trimmed);
+  }
+
+  const compact = trimmed.replace(/[\s\-.()]/g, '');
+  if (!/^(\+|00)?\d+$/.test(compact)) {
+    throw numberError(`"${value}" is not a phone number, only digits, spaces, dashes, dots, parentheses and a leading + are allowed`);
+  }
+
+  let digits;
+  if (compact.startsWith('+') || compact.startsWith('00')) {
+    digits = compact.replace(/^(\+|00)/, '');
+  } else if (compact.length <= LOCAL_NUMBER_MAX_DIGITS) {
+    if (compact.length < LOCAL_NUMBER_MIN_DIGITS) {
+      throw numberError(`"${value}" is too short for a phone number`);
+    }
+    digits = `${DEFAULT_COUNTRY_CODE}${compact}`;
+  } else {
+    // Longer numbers already carry their country code
+    digits = compact;
+  }
+
+  if (digits.length < E164_MIN_DIGITS) {
+    throw numberError(`"${value}" is too short for an international phone number`);
+  }
+  if (digits.length > E164_MAX_DIGITS) {
+    throw numberError(`"${value}" is too long for a phone number (at most ${E164_MAX_DIGITS} digits with the country code)`);
+  }
+  if (digits.startsWith('0')) {
+    throw numberError(`"${value}" has no valid country code, country codes never start with 0`);
+  }
+
+  return { wid: `${digits}@c.us`, number: `+${digits}` };
+}
+
+module.exports = {
+  DEFAULT_COUNTRY_CODE,
+  normalizeRecipient
+};
@@ -0,0 +1,175 @@
+const sharp = require('sharp');
+
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+
+// WhatsApp Web refreshes the login QR roughly every 20 seconds, an older one can no longer be scanned
+const QR_TTL_MS = parseInt(process.env.QR_CODE_TTL_MS) || 20000;
+
+// Light modules kept around the code so scanners can find it
+const QUIET_ZONE = 4;
+
+// Latest QR per session name, while the session is initializing
+const latest = new Map();
+
+/**
+ * Get the QR state of a session
+ * status: `qr` (a code is waiting to be scanned), `initializing` (no code yet), `authenticated` or `not-initializing`
+ */
+function getQRCode(sessionName) {
+  const loadState = wpp.getLoadState(sessionName);
+  const qr = loadState === 'initializing' ? latest.get(sessionName) : null;
+
+  if (loadState === 'loaded') {
+    return { sessionName, status: 'authenticated', attempts: 0 };
+  }
+
+  if (!qr) {
+    return { sessionName, status: loadState === 'initializing' ? 'initializing' : 'not-initializing', attempts: 0 };
+  }
+
+  return {
+    sessionName,
+    status: 'qr',
+    attempts: qr.attempts,
+    urlCode: qr.urlCode,
+    base64: qr.base64,
+    ascii: qr.ascii,
+    receivedAt: qr.receivedAt,
+    expiresAt: qr.expiresAt,
+    expired: Date.now() > new Date(qr.expiresAt).getTime()
+  };
+}
+
+/**
+ * Wait until a session has a QR newer than `afterAttempt`, finishes initializing or fails
+ * Resolves with the QR state, also on timeout or when the signal aborts
+ */
+function waitForQRUpdate(sessionName, { afterAttempt = 0, timeoutMs = 25000, signal } = {}) {
+  const isSettled = () => {
+    const state = getQRCode(sessionName);
+    return state.status === 'authenticated' || state.status === 'not-initializing' || state.attempts > afterAttempt;
+  };
+
+  if (isSettled() || (signal && signal.aborted)) {
+    return Promise.resolve(getQRCode(sessionName));
+  }
+
+  return new Promise(resolve => {
+    const events = ['qr-code', 'client-created', 'client-failed', 'session-deleted'];
+    let timer = null;
+
+    const finish = () => {
+      clearTimeout(timer);
+      events.forEach(event => wpp.sessionEvents.off(event, onEvent));
+      wpp.sessionEvents.off('server-shutdown', finish);
+      if (signal) {
+        signal.removeEventListener('abort', finish);
+      }
+      resolve(getQRCode(sessionName));
+    };
+
+    // The event fires before the initializing entry is cleared, so re-check on the next tick
+    const onEvent = (event) => {
+      if (event.sessionName === sessionName) {
+        setImmediate(() => {
+          if (isSettled()) {
+            finish();
+          }
+        });
+      }
+    };
+
+    timer = setTimeout(finish, timeoutMs);
+    events.forEach(event => wpp.sessionEvents.on(event, onEvent));
+    wpp.sessionEvents.once('server-shutdown', finish);
+    if (signal) {
+      signal.addEventListener('abort', finish, { once: true });
+    }
+  });
+}
+
+/**
+ * Turn the terminal rendering of a QR (qrcode-terminal, small mode) back into a module matrix
+ * Each character holds two rows: `▀` light over dark, `▄` dark over light, `█` both light, ` ` both dark
+ * Returns an array of rows of booleans (true = dark), or null if the text is not a QR
+ */
+function parseAsciiQR(ascii) {
+  if (typeof ascii !== 'string') {
+    return null;
+  }
+
+  // First line is the top border, and every line is framed by a border character
+  const lines = ascii.split('\n').slice(1).filter(line => line.length > 2).map(line => Array.from(line).slice(1, -1));
+  const size = lines.length > 0 ? lines[0].length : 0;
+
+  if (size < 21 || lines.some(line => line.length !== size)) {
+    return null;
+  }
+
+  const rows = [];
+  lines.forEach(line => {
+    rows.push(line.map(char => char === '▄' || char === ' '));
+    rows.push(line.map(char => char === '▀' || char === ' '));
+  });
+
+  // Odd sizes are padded with a light row, and some versions end with a bottom border
+  return rows.length >= size ? rows.slice(0, size) : null;
+}
+
+/**
+ * Render a module matrix as an SVG document of `size` pixels, quiet zone included
+ */
+function renderSVG(matrix, { size = 300 } = {}) {
+  const dimension = matrix.length + QUIET_ZONE * 2;
+  const path = [];
+
+  matrix.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        path.push(`M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`);
+      }
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`
+    + `<rect width="${dimension}" height="${dimension}" fill="#ffffff"/>`
+    + `<path fill="#000000" d="${path.join('')}"/>`
+    + '</svg>';
+}
+
+/**
+ * Render a module matrix as a PNG buffer of `size` pixels
+ */
+async function renderPNG(matrix, { size = 300 } = {}) {
+  return await sharp(Buffer.from(renderSVG(matrix, { size })))
+    .png()
+    .toBuffer();
+}
+
+// Track the latest QR of every initializing session
+wpp.sessionEvents.on('qr-code', ({ sessionName, qr }) => {
+  const receivedAt = Date.now();
+  latest.set(sessionName, {
+    base64: qr.base64,
+    ascii: qr.ascii,
+    attempts: qr.attempts,
+    urlCode: qr.urlCode,
+    receivedAt: new Date(receivedAt).toISOString(),
+    expiresAt: new Date(receivedAt + QR_TTL_MS).toISOString()
+  });
+});
+
+['client-created', 'client-failed', 'session-deleted'].forEach(event => {
+  wpp.sessionEvents.on(event, ({ sessionName }) => {
+    latest.delete(sessionName);
+  });
+});
+
+module.exports = {
+  getQRCode,
+  waitForQRUpdate,
+  parseAsciiQR,
+  renderSVG,
+  renderPNG
+};
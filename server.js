@@ -3,6 +3,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { createServer } = require('http');
@@ -11,24 +12,134 @@ require('dotenv').config();
 
 // Import WhatsApp functionality
 const wpp = require('./wpp-playground');
+const webhooks = require('./webhooks');
+const media = require('./media');
+const messageStatus = require('./message-status');
+const messageQueue = require('./message-queue');
+const broadcasts = require('./broadcasts');
+const apiKeys = require('./api-keys');
+const sessionEviction = require('./session-eviction');
+const sessionRestore = require('./session-restore');
+const qrCodes = require('./qr-codes');
+const sessionLifecycle = require('./session-lifecycle');
+const sessionSupervisor = require('./session-supervisor');
+const messageStore = require('./message-store');
+const mediaCache = require('./media-cache');
+const groups = require('./groups');
+const contacts = require('./contacts');
+const phoneNumbers = require('./phone-numbers');
+const chats = require('./chats');
+const labels = require('./labels');
+const messageTypes = require('./message-types');
+const { requirePermission, requireGlobalAdmin } = apiKeys;
 
 const app = express();
 const server = createServer(app);
+// Comma-separated list of allowed browser origins, "*" allows any origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim());
+const corsOrigin = CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS;
+
 const io = new Server(server, {
   cors: {
-    origin: "*", // Configure this properly for production
+    origin: corsOrigin,
     methods: ["GET", "POST"]
   }
 });
 const PORT = process.env.PORT || 3000;
 
+// Maximum time to wait for WhatsApp to issue a pairing link code before answering the initialize request
+const LINK_CODE_TIMEOUT_MS = 30000;
+
+// Maximum time a graceful shutdown may take before the process is forced to exit
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 25000;
+
+// Shutdown state - set once SIGINT/SIGTERM is received
+let shuttingDown = false;
+let inFlightRequests = 0;
+
+// Room for sockets that opted into the long-lived event stream of a session.
+// Members are never auto-disconnected when the session completes or fails.
+const streamRoom = (sessionName) => `session-${sessionName}-stream`;
+
+// Sessions whose launch is already relayed to their room by initialize-with-qr or reconnect,
+// so a second call does not relay the same QR codes and status updates twice
+const roomRelays = new Set();
+
 // Middleware
 app.use(helmet());
-app.use(cors());
+app.use(cors({ origin: corsOrigin }));
 app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
+
+// Refuse new work once shutting down and keep count of the requests still being served
+app.use((req, res, next) => {
+  if (shuttingDown) {
+    res.set('Connection', 'close');
+    return res.status(503).json({
+      success: false,
+      error: 'Server is shutting down, retry shortly'
+    });
+  }
+
+  inFlightRequests++;
+  let finished = false;
+  const done = () => {
+    if (!finished) {
+      finished = true;
+      inFlightRequests--;
+    }
+  };
+  res.on('finish', done);
+  res.on('close', done);
+  next();
+});
+// JSON bodies may carry base64 media, which is ~4/3 the size of the file itself
+app.use(express.json({ limit: Math.ceil(media.MAX_FILE_SIZE * 1.4) }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Multipart uploads are kept in memory, capped at MAX_FILE_SIZE
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: media.MAX_FILE_SIZE, files: 1 }
+});
+
+// Accept an optional multipart `file`, surfacing multer errors (e.g. file too large) in the API's JSON shape
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      error: error.code === 'LIMIT_FILE_SIZE' ? `File exceeds the maximum size of ${media.MAX_FILE_SIZE} bytes` : error.message
+    });
+  });
+};
+
+// Answer with the outcome of a wpp.withClient action
+const sendClientResult = (res, result, statusCode = 200) => {
+  // Handle authentication failures
+  if (!result.success && !result.isAuthenticated) {
+    return res.status(401).json({
+      success: false,
+      error: result.error,
+      isAuthenticated: false,
+      message: 'Session disconnected. Please reconnect.'
+    });
+  }
+  
+  if (!result.success) {
+    return res.status(result.statusCode || 502).json({
+      success: false,
+      error: result.error
+    });
+  }
+  
+  res.status(statusCode).json({
+    success: true,
+    data: result.result
+  });
+};
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -37,13 +148,18 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Authentication - every API route needs a valid key, scoped to the session in the URL
+app.use('/api/', apiKeys.authenticate);
+app.param('sessionName', apiKeys.authorizeSession);
+
 // Health check endpoint - lightweight and fast
 app.get('/health', (req, res) => {
   // Quick response without heavy operations
   res.status(200).json({
     status: 'OK',
     timestamp: new Date().toISOString(),
-    uptime: Math.round(process.uptime())
+    uptime: Math.round(process.uptime()),
+    restore: sessionRestore.getRestoreSummary()
   });
 });
 
@@ -52,65 +168,73 @@ app.get('/health', (req, res) => {
 /**
  * @route POST /api/sessions/:sessionName/initialize-with-qr
  * @desc Initialize a WhatsApp session with real-time QR code and status updates via WebSocket
+ * Send { phoneNumber } to pair with a link code entered on the phone instead of scanning a QR code
  */
-app.post('/api/sessions/:sessionName/initialize-with-qr', async (req, res) => {
+app.post('/api/sessions/:sessionName/initialize-with-qr', requirePermission('admin'), async (req, res) => {
   try {
     const { sessionName } = req.params;
-    const options = req.body || {};
+    const { phoneNumber, ...options } = req.body || {};
     
-    // Track both conditions for session completion
-    let isInChat = false;
-    let isMainMode = false;
-    let sessionCompleteEmitted = false;  // Prevent duplicate emissions
+    // Pairing mode - the link code is tied to the phone number of this launch
+    let pairingPhone = null;
+    if (phoneNumber !== undefined) {
+      pairingPhone = String(phoneNumber).replace(/[\s()+.-]/g, '');
+      
+      if (!/^\d{8,15}$/.test(pairingPhone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'phoneNumber must be the full international number including country code, e.g. 50761234567'
+        });
+      }
+      
+      if (wpp.getLoadState(sessionName) === 'initializing') {
+        return res.status(409).json({
+          success: false,
+          error: `Session ${sessionName} is already initializing, wait for it to finish before pairing by phone number`
+        });
+      }
+      
+      options.phoneNumber = pairingPhone;
+    }
     
-    // Helper to check if both conditions are met and emit session-complete
-    const checkAndEmitSessionComplete = () => {
-      if (isInChat && isMainMode && !sessionCompleteEmitted) {
-        sessionCompleteEmitted = true;  // Set flag to prevent re-emission
-        
-        console.log(`✅ WhatsApp fully ready for session: ${sessionName} (inChat + MAIN)`);
-        console.log(`🔌 Auto-disconnecting WebSocket clients for session: ${sessionName}`);
-        
-        // Get all sockets in the session room and disconnect them
-        const room = io.sockets.adapter.rooms.get(`session-${sessionName}`);
-        if (room) {
-          room.forEach(socketId => {
-            const socket = io.sockets.sockets.get(socketId);
-            if (socket) {
-              socket.emit('session-complete', {
-                sessionName: sessionName,
-                status: 'inChat',
-                message: 'WhatsApp fully loaded and ready. WebSocket connection will be closed.',
-                timestamp: new Date().toISOString()
-              });
-              
-              // Disconnect after a brief delay to ensure the message is sent
-              setTimeout(() => {
-                socket.disconnect();
-                console.log(`🔌 Disconnected WebSocket client: ${socketId}`);
-              }, 1000);
-            }
-          });
+    // The launch is already relayed to the room, point the caller to it instead of starting another
+    if (roomRelays.has(sessionName)) {
+      return res.json({
+        success: true,
+        message: `Session ${sessionName} is already initializing. Connect to WebSocket and join room 'session-${sessionName}' for QR code and status updates`,
+        data: {
+          sessionName,
+          initializing: true,
+          alreadyInitializing: true,
+          websocketRoom: `session-${sessionName}`,
+          events: {
+            qrCode: 'qr-code',
+            linkCode: 'link-code',
+            statusUpdate: 'status-update',
+            sessionState: 'session-state'
+          }
         }
-      }
-    };
+      });
+    }
     
-    // Set up WebSocket callbacks for QR code and status updates
+    // Set up WebSocket callbacks for QR code, link code and status updates
     const qrCallback = (qrData) => {
       console.log(`📡 Emitting QR code for session: ${sessionName}`);
       io.to(`session-${sessionName}`).emit('qr-code', qrData);
     };
     
+    let resolveLinkCode;
+    const firstLinkCode = new Promise(resolve => { resolveLinkCode = resolve; });
+    const linkCodeCallback = (linkCodeData) => {
+      console.log(`📡 Emitting link code for session: ${sessionName}`);
+      io.to(`session-${sessionName}`).emit('link-code', linkCodeData);
+      resolveLinkCode(linkCodeData);
+    };
+    
     const statusCallback = (statusData) => {
       console.log(`📡 Emitting status update for session: ${sessionName}`, statusData.status);
       io.to(`session-${sessionName}`).emit('status-update', statusData);
       
-      // Track inChat status
-      if (statusData.status === 'inChat') {
-        isInChat = true;
-        checkAndEmitSessionComplete();
-      }
-      
       // Handle initialization failures - cleanup resources
       // Only cleanup on true initialization failures, not operational errors
       if (statusData.status === 'initialization-error') {
@@ -130,7 +254,7 @@ app.post('/api/sessions/:sessionName/initialize-with-qr', async (req, res) => {
           if (room) {
             room.forEach(socketId => {
               const socket = io.sockets.sockets.get(socketId);
-              if (socket) {
+              if (socket && !socket.rooms.has(streamRoom(sessionName))) {
                 socket.disconnect();
                 console.log(`🔌 Disconnected WebSocket client after failure: ${socketId}`);
               }
@@ -140,45 +264,33 @@ app.post('/api/sessions/:sessionName/initialize-with-qr', async (req, res) => {
       }
     };
     
-    // Callback to listen for interface state changes (MAIN = fully ready)
-    const interfaceCallback = async (client) => {
-      client.onInterfaceChange((state) => {
-        console.log(`📱 Interface changed for ${sessionName}:`, state.mode, state.displayInfo);
-        
-        // Track MAIN mode
-        if (state.mode === 'MAIN') {
-          isMainMode = true;
-          checkAndEmitSessionComplete();
-        }
-      });
-    };
-    
-    // Respond immediately that initialization has started
-    res.json({
-      success: true,
-      message: `Session ${sessionName} initialization started. Connect to WebSocket and join room 'session-${sessionName}' for QR code and status updates`,
-      data: {
-        sessionName,
-        initializing: true,
-        websocketRoom: `session-${sessionName}`,
-        events: {
-          qrCode: 'qr-code',
-          statusUpdate: 'status-update'
-        }
+    const alreadyInitializing = wpp.getLoadState(sessionName) === 'initializing';
+    const responseData = {
+      sessionName,
+      initializing: true,
+      alreadyInitializing,
+      pairingMode: pairingPhone ? 'link-code' : 'qr',
+      websocketRoom: `session-${sessionName}`,
+      events: {
+        qrCode: 'qr-code',
+        linkCode: 'link-code',
+        statusUpdate: 'status-update',
+        sessionState: 'session-state'
       }
-    });
+    };
     
     // Start initialization asynchronously with callbacks
-    wpp.getOrCreateClientWithCallbacks(sessionName, {
+    roomRelays.add(sessionName);
+    const launch = wpp.getOrCreateClientWithCallbacks(sessionName, {
       ...options,
       onQRCode: qrCallback,
+      onLinkCode: linkCodeCallback,
       onStatusChange: statusCallback
-    }).then((client) => {
+    });
+    launch.then(() => {
+      roomRelays.delete(sessionName);
       console.log(`✅ Session ${sessionName} initialized successfully`);
       
-      // Attach interface change listener to detect MAIN + NORMAL state
-      interfaceCallback(client);
-      
       // Final status update to confirm successful initialization
       statusCallback({
         status: 'ready',
@@ -187,6 +299,7 @@ app.post('/api/sessions/:sessionName/initialize-with-qr', async (req, res) => {
         message: 'Client fully initialized and ready'
       });
     }).catch((error) => {
+      roomRelays.delete(sessionName);
       console.log(`❌ Error initializing session ${sessionName}:`, error.message);
       // Error status update
       statusCallback({
@@ -197,6 +310,55 @@ app.post('/api/sessions/:sessionName/initialize-with-qr', async (req, res) => {
       });
     });
     
+    if (!pairingPhone) {
+      // Respond immediately that initialization has started (or joined a launch already in progress)
+      return res.json({
+        success: true,
+        message: `Session ${sessionName} initialization started. Connect to WebSocket and join room 'session-${sessionName}' for QR code and status updates`,
+        data: responseData
+      });
+    }
+    
+    // Pairing mode - wait for the link code so it can be returned in the response too
+    let timeout;
+    let linkCode;
+    try {
+      linkCode = await Promise.race([
+        firstLinkCode,
+        launch.then(() => null),
+        new Promise(resolve => { timeout = setTimeout(() => resolve(null), LINK_CODE_TIMEOUT_MS); })
+      ]);
+    } catch (error) {
+      // The launch failed before a link code arrived
+      return res.status(502).json({
+        success: false,
+        error: `Could not initialize session ${sessionName}: ${error.message}`
+      });
+    } finally {
+      clearTimeout(timeout);
+    }
+    
+    if (linkCode) {
+      return res.json({
+        success: true,
+        message: `Session ${sessionName} is waiting for pairing. On the phone open WhatsApp > Linked devices > Link with phone number instead and enter code ${linkCode.code}`,
+        data: { ...responseData, linkCode: linkCode.code }
+      });
+    }
+    
+    if (wpp.getLoadState(sessionName) === 'loaded') {
+      return res.json({
+        success: true,
+        message: `Session ${sessionName} is already paired, no link code needed`,
+        data: { ...responseData, initializing: false, linkCode: null }
+      });
+    }
+    
+    res.status(504).json({
+      success: false,
+      error: `No link code received for session ${sessionName}, check the status-update events for details`
+    });
+    
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -209,45 +371,30 @@ app.post('/api/sessions/:sessionName/initialize-with-qr', async (req, res) => {
  * @route POST /api/sessions/:sessionName/reconnect
  * @desc Reconnect an existing WhatsApp session
  */
-app.post('/api/sessions/:sessionName/reconnect', async (req, res) => {
+app.post('/api/sessions/:sessionName/reconnect', requirePermission('admin'), async (req, res) => {
   try {
     const { sessionName } = req.params;
     const options = req.body || {};
     
-    // Track both conditions for session completion
-    let isInChat = false;
-    let isMainMode = false;
-    let sessionCompleteEmitted = false;
-    
-    // Helper to check if both conditions are met and emit session-complete
-    const checkAndEmitSessionComplete = () => {
-      if (isInChat && isMainMode && !sessionCompleteEmitted) {
-        sessionCompleteEmitted = true;
-        
-        console.log(`✅ WhatsApp fully ready for session: ${sessionName} (inChat + MAIN)`);
-        console.log(`🔌 Auto-disconnecting WebSocket clients for session: ${sessionName}`);
-        
-        const room = io.sockets.adapter.rooms.get(`session-${sessionName}`);
-        if (room) {
-          room.forEach(socketId => {
-            const socket = io.sockets.sockets.get(socketId);
-            if (socket) {
-              socket.emit('session-complete', {
-                sessionName: sessionName,
-                status: 'inChat',
-                message: 'WhatsApp reconnected and ready. WebSocket connection will be closed.',
-                timestamp: new Date().toISOString()
-              });
-              
-              setTimeout(() => {
-                socket.disconnect();
-                console.log(`🔌 Disconnected WebSocket client: ${socketId}`);
-              }, 1000);
-            }
-          });
+    // The launch is already relayed to the room, point the caller to it instead of starting another
+    if (roomRelays.has(sessionName)) {
+      return res.json({
+        success: true,
+        message: `Session ${sessionName} is already initializing. Connect to WebSocket and join room 'session-${sessionName}' for QR code and status updates`,
+        data: {
+          sessionName,
+          reconnecting: true,
+          alreadyInitializing: true,
+          websocketRoom: `session-${sessionName}`,
+          events: {
+            qrCode: 'qr-code',
+            statusUpdate: 'status-update',
+            sessionState: 'session-state',
+            sessionComplete: 'session-complete'
+          }
         }
-      }
-    };
+      });
+    }
     
     // Set up WebSocket callbacks for QR code and status updates
     const qrCallback = (qrData) => {
@@ -259,12 +406,6 @@ app.post('/api/sessions/:sessionName/reconnect', async (req, res) => {
       console.log(`📡 Emitting status update for session: ${sessionName}`, statusData.status);
       io.to(`session-${sessionName}`).emit('status-update', statusData);
       
-      // Track inChat status
-      if (statusData.status === 'inChat') {
-        isInChat = true;
-        checkAndEmitSessionComplete();
-      }
-      
       // Handle reconnection failures - no cleanup, just disconnect WebSocket
       if (statusData.status === 'initialization-error') {
         console.log(`❌ Reconnection failed for session: ${sessionName}`);
@@ -275,7 +416,7 @@ app.post('/api/sessions/:sessionName/reconnect', async (req, res) => {
           if (room) {
             room.forEach(socketId => {
               const socket = io.sockets.sockets.get(socketId);
-              if (socket) {
+              if (socket && !socket.rooms.has(streamRoom(sessionName))) {
                 socket.disconnect();
                 console.log(`🔌 Disconnected WebSocket client after reconnection failure: ${socketId}`);
               }
@@ -285,46 +426,34 @@ app.post('/api/sessions/:sessionName/reconnect', async (req, res) => {
       }
     };
     
-    // Callback to listen for interface state changes (MAIN = fully ready)
-    const interfaceCallback = async (client) => {
-      client.onInterfaceChange((state) => {
-        console.log(`📱 Interface changed for ${sessionName}:`, state.mode, state.displayInfo);
-        
-        // Track MAIN mode
-        if (state.mode === 'MAIN') {
-          isMainMode = true;
-          checkAndEmitSessionComplete();
-        }
-      });
-    };
-    
-    // Respond immediately that reconnection has started
+    // Respond immediately that reconnection has started (or joined a launch already in progress)
     res.json({
       success: true,
       message: `Session ${sessionName} reconnection started. Connect to WebSocket and join room 'session-${sessionName}' for QR code and status updates`,
       data: {
         sessionName,
         reconnecting: true,
+        alreadyInitializing: wpp.getLoadState(sessionName) === 'initializing',
         websocketRoom: `session-${sessionName}`,
         events: {
           qrCode: 'qr-code',
           statusUpdate: 'status-update',
+          sessionState: 'session-state',
           sessionComplete: 'session-complete'
         }
       }
     });
     
     // Start reconnection asynchronously with callbacks
+    roomRelays.add(sessionName);
     wpp.getOrCreateClientWithCallbacks(sessionName, {
       ...options,
       onQRCode: qrCallback,
       onStatusChange: statusCallback
-    }).then((client) => {
+    }).then(() => {
+      roomRelays.delete(sessionName);
       console.log(`✅ Session ${sessionName} reconnected successfully`);
       
-      // Attach interface change listener to detect MAIN + NORMAL state
-      interfaceCallback(client);
-      
       // Final status update to confirm successful reconnection
       statusCallback({
         status: 'ready',
@@ -333,6 +462,7 @@ app.post('/api/sessions/:sessionName/reconnect', async (req, res) => {
         message: 'Client reconnected and ready'
       });
     }).catch((error) => {
+      roomRelays.delete(sessionName);
       console.log(`❌ Error reconnecting session ${sessionName}:`, error.message);
       // Error status update
       statusCallback({
@@ -355,7 +485,7 @@ app.post('/api/sessions/:sessionName/reconnect', async (req, res) => {
  * @route POST /api/sessions/:sessionName/send-message
  * @desc Send a text message
  */
-app.post('/api/sessions/:sessionName/send-message', async (req, res) => {
+app.post('/api/sessions/:sessionName/send-message', requirePermission('send'), async (req, res) => {
   try {
     const { sessionName } = req.params;
     const { to, message } = req.body;
@@ -367,7 +497,17 @@ app.post('/api/sessions/:sessionName/send-message', async (req, res) => {
       });
     }
     
-    const result = await wpp.sendText(sessionName, to, message);
+    let recipient;
+    try {
+      recipient = phoneNumbers.normalizeRecipient(to);
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: `Invalid to: ${error.message}`
+      });
+    }
+    
+    const result = await wpp.sendText(sessionName, recipient.wid, message);
     
     // Handle authentication failures
     if (!result.success && !result.isAuthenticated) {
@@ -383,6 +523,7 @@ app.post('/api/sessions/:sessionName/send-message', async (req, res) => {
     res.json({
       success: true,
       message: 'Message sent successfully',
+      to: recipient.wid,
       data: result.result,
       isAuthenticated: result.isAuthenticated
     });
@@ -395,62 +536,239 @@ app.post('/api/sessions/:sessionName/send-message', async (req, res) => {
 });
 
 /**
- * @route GET /api/sessions/:sessionName/chats
- * @desc List chats
+ * @route POST /api/sessions/:sessionName/messages
+ * @desc Send a message of any type given by `type`: text, link, location, vcard or poll
+ */
+app.post('/api/sessions/:sessionName/messages', requirePermission('send'), async (req, res) => {
+  try {
+    const result = await messageTypes.sendMessage(req.params.sessionName, req.body);
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.errors ? { errors: error.errors } : {})
+    });
+  }
+});
+
+/**
+ * @route GET /api/message-types
+ * @desc List the JSON Schema of each message type accepted by the messages endpoint
+ */
+app.get('/api/message-types', requirePermission('read'), (req, res) => {
+  res.json({
+    success: true,
+    data: messageTypes.MESSAGE_SCHEMAS
+  });
+});
+
+/**
+ * @route POST /api/sessions/:sessionName/send-image
+ * @route POST /api/sessions/:sessionName/send-document
+ * @route POST /api/sessions/:sessionName/send-audio
+ * @route POST /api/sessions/:sessionName/send-video
+ * @route POST /api/sessions/:sessionName/send-sticker
+ * @desc Send a media message from a multipart `file`, a `base64` body or a `url`
+ */
+Object.keys(media.MEDIA_TYPES).forEach((mediaType) => {
+  app.post(`/api/sessions/:sessionName/send-${mediaType}`, requirePermission('send'), uploadFile, async (req, res) => {
+    try {
+      const { sessionName } = req.params;
+      const { to, caption, base64, url, filename, mimetype } = req.body;
+      const ptt = req.body.ptt === true || req.body.ptt === 'true';
+      
+      if (!to) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required field: to'
+        });
+      }
+      
+      let recipient;
+      try {
+        recipient = phoneNumbers.normalizeRecipient(to);
+      } catch (error) {
+        return res.status(error.statusCode || 500).json({
+          success: false,
+          error: `Invalid to: ${error.message}`
+        });
+      }
+      
+      let file;
+      try {
+        file = await media.resolveMedia({ file: req.file, base64, url, filename, mimetype });
+      } catch (error) {
+        return res.status(error.statusCode || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+      
+      // Make sure the content matches the endpoint it was sent to
+      const requiredFamily = media.MEDIA_TYPES[mediaType];
+      if (requiredFamily && !file.mimetype.startsWith(requiredFamily)) {
+        return res.status(415).json({
+          success: false,
+          error: `Expected ${requiredFamily}* content for ${mediaType}, got ${file.mimetype}`
+        });
+      }
+      
+      if (mediaType === 'sticker') {
+        file.buffer = await media.toSticker(file.buffer);
+        file.mimetype = 'image/webp';
+        file.filename = 'sticker.webp';
+      }
+      
+      const result = await wpp.sendMedia(sessionName, recipient.wid, {
+        type: mediaType,
+        content: media.toDataUri(file.buffer, file.mimetype),
+        filename: file.filename,
+        mimetype: file.mimetype,
+        caption,
+        isPtt: ptt
+      });
+      
+      // Handle authentication failures
+      if (!result.success && !result.isAuthenticated) {
+        return res.status(401).json({
+          success: false,
+          error: result.error,
+          isAuthenticated: false,
+          message: 'Session disconnected. Please reconnect.'
+        });
+      }
+      
+      // Success
+      res.json({
+        success: true,
+        message: `${mediaType.charAt(0).toUpperCase() + mediaType.slice(1)} sent successfully`,
+        to: recipient.wid,
+        data: {
+          ...result.result,
+          mimetype: file.mimetype,
+          filename: file.filename,
+          size: file.buffer.length
+        },
+        isAuthenticated: result.isAuthenticated
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+});
+
+/**
+ * @route POST /api/sessions/:sessionName/queue
+ * @desc Queue a text message for throttled, retried delivery (Idempotency-Key header or idempotencyKey field)
  */
-app.get('/api/sessions/:sessionName/chats', async (req, res) => {
+app.post('/api/sessions/:sessionName/queue', requirePermission('send'), async (req, res) => {
   try {
     const { sessionName } = req.params;
-    const options = req.query;
+    const { to, message } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
     
-    // Convert string boolean values to actual booleans
-    Object.keys(options).forEach(key => {
-      if (options[key] === 'true') options[key] = true;
-      if (options[key] === 'false') options[key] = false;
-      if (!isNaN(options[key]) && options[key] !== '') options[key] = parseInt(options[key]);
+    if (!to || !message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: to, message'
+      });
+    }
+    
+    let recipient;
+    try {
+      recipient = phoneNumbers.normalizeRecipient(to);
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: `Invalid to: ${error.message}`
+      });
+    }
+    
+    const { job, duplicate } = messageQueue.enqueue(sessionName, {
+      type: 'text',
+      to: recipient.wid,
+      payload: { message },
+      idempotencyKey
     });
     
-    const result = await wpp.listChats(sessionName, options);
+    res.status(duplicate ? 200 : 202).json({
+      success: true,
+      message: duplicate ? 'Job already queued with this idempotency key' : 'Message queued successfully',
+      data: job,
+      duplicate
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/queue
+ * @desc Inspect the outbound queue (optional ?status= filter)
+ */
+app.get('/api/sessions/:sessionName/queue', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    const { status } = req.query;
     
-    // Handle authentication failures
-    if (!result.success && !result.isAuthenticated) {
-      return res.status(401).json({
+    if (status && !messageQueue.JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
         success: false,
-        error: result.error,
-        isAuthenticated: false,
-        message: 'Session disconnected. Please reconnect.',
-        chats: result.chats || []
+        error: `Invalid status. Supported: ${messageQueue.JOB_STATUSES.join(', ')}`
       });
     }
     
-    // Success
     res.json({
       success: true,
-      data: result.chats,
-      count: result.chats.length,
-      isAuthenticated: result.isAuthenticated
+      data: messageQueue.getQueue(sessionName, { status })
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: error.message,
-      chats: []
+      error: error.message
     });
   }
 });
 
 /**
- * @route GET /api/sessions/:sessionName/connection-state
- * @desc Get connection state
+ * @route PATCH /api/sessions/:sessionName/queue
+ * @desc Configure queue throttling (ratePerMinute, jitterMs; null restores the default)
  */
-app.get('/api/sessions/:sessionName/connection-state', async (req, res) => {
+app.patch('/api/sessions/:sessionName/queue', requirePermission('admin'), async (req, res) => {
   try {
     const { sessionName } = req.params;
-    const connectionState = await wpp.getConnectionState(sessionName);
+    const { ratePerMinute, jitterMs } = req.body;
+    
+    if (ratePerMinute !== undefined && ratePerMinute !== null && !(Number(ratePerMinute) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ratePerMinute must be a positive number'
+      });
+    }
+    
+    if (jitterMs !== undefined && jitterMs !== null && !(Number(jitterMs) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'jitterMs must be zero or a positive number'
+      });
+    }
+    
+    const queue = messageQueue.configureQueue(sessionName, {
+      ratePerMinute: ratePerMinute === undefined || ratePerMinute === null ? ratePerMinute : Number(ratePerMinute),
+      jitterMs: jitterMs === undefined || jitterMs === null ? jitterMs : Number(jitterMs)
+    });
     
     res.json({
       success: true,
-      data: { connectionState }
+      message: 'Queue settings updated successfully',
+      data: queue
     });
   } catch (error) {
     res.status(500).json({
@@ -461,17 +779,17 @@ app.get('/api/sessions/:sessionName/connection-state', async (req, res) => {
 });
 
 /**
- * @route GET /api/sessions/:sessionName/authenticated
- * @desc Check if authenticated
+ * @route POST /api/sessions/:sessionName/queue/pause
+ * @desc Pause sending from the outbound queue
  */
-app.get('/api/sessions/:sessionName/authenticated', async (req, res) => {
+app.post('/api/sessions/:sessionName/queue/pause', requirePermission('send'), async (req, res) => {
   try {
     const { sessionName } = req.params;
-    const isAuthenticated = await wpp.isAuthenticated(sessionName);
     
     res.json({
       success: true,
-      data: { isAuthenticated }
+      message: `Queue paused for session ${sessionName}`,
+      data: messageQueue.pauseQueue(sessionName)
     });
   } catch (error) {
     res.status(500).json({
@@ -482,17 +800,17 @@ app.get('/api/sessions/:sessionName/authenticated', async (req, res) => {
 });
 
 /**
- * @route GET /api/sessions/:sessionName/wid
- * @desc Get current WID
+ * @route POST /api/sessions/:sessionName/queue/resume
+ * @desc Resume sending from the outbound queue
  */
-app.get('/api/sessions/:sessionName/wid', async (req, res) => {
+app.post('/api/sessions/:sessionName/queue/resume', requirePermission('send'), async (req, res) => {
   try {
     const { sessionName } = req.params;
-    const wid = await wpp.getWid(sessionName);
     
     res.json({
       success: true,
-      data: { wid }
+      message: `Queue resumed for session ${sessionName}`,
+      data: messageQueue.resumeQueue(sessionName)
     });
   } catch (error) {
     res.status(500).json({
@@ -503,20 +821,24 @@ app.get('/api/sessions/:sessionName/wid', async (req, res) => {
 });
 
 /**
- * @route DELETE /api/sessions/:sessionName
- * @desc Delete a WhatsApp session (cleans up cached client and persistent data)
+ * @route GET /api/sessions/:sessionName/queue/:jobId
+ * @desc Get a queued job
  */
-app.delete('/api/sessions/:sessionName', async (req, res) => {
+app.get('/api/sessions/:sessionName/queue/:jobId', requirePermission('read'), async (req, res) => {
   try {
-    const { sessionName } = req.params;
+    const { sessionName, jobId } = req.params;
+    const job = messageQueue.getJob(sessionName, jobId);
     
-    // Delete the session using the wpp module
-    const result = await wpp.deleteSession(sessionName);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `Job ${jobId} not found`
+      });
+    }
     
     res.json({
       success: true,
-      message: `Session ${sessionName} deleted successfully`,
-      data: result
+      data: job
     });
   } catch (error) {
     res.status(500).json({
@@ -526,25 +848,1497 @@ app.delete('/api/sessions/:sessionName', async (req, res) => {
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    error: 'Something went wrong!'
-  });
-});
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found'
-  });
+/**
+ * @route DELETE /api/sessions/:sessionName/queue/:jobId
+ * @desc Cancel a queued job (jobs already being sent or finished cannot be cancelled)
+ */
+app.delete('/api/sessions/:sessionName/queue/:jobId', requirePermission('send'), async (req, res) => {
+  try {
+    const { sessionName, jobId } = req.params;
+    const result = messageQueue.cancelJob(sessionName, jobId);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `Job ${jobId} not found`
+      });
+    }
+    
+    if (!result.cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: `Job ${jobId} is ${result.job.status} and can no longer be cancelled`,
+        data: result.job
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Job ${jobId} cancelled successfully`,
+      data: result.job
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
+/**
+ * @route POST /api/sessions/:sessionName/broadcasts
+ * @desc Send a templated message to many recipients through the outbound queue
+ * Recipients come as a JSON array (`recipients: [{ to, ...placeholders }]`) or CSV text (`csv`, header row required)
+ */
+app.post('/api/sessions/:sessionName/broadcasts', requirePermission('send'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    const { name, template, csv } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+    
+    if (!template || typeof template !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: template'
+      });
+    }
+    
+    let recipients = req.body.recipients;
+    if (csv) {
+      recipients = broadcasts.parseCsv(String(csv));
+    }
+    
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide a non-empty recipients array or csv with a header row'
+      });
+    }
+    
+    if (recipients.length > broadcasts.MAX_RECIPIENTS) {
+      return res.status(400).json({
+        success: false,
+        error: `Too many recipients (${recipients.length}), the maximum per broadcast is ${broadcasts.MAX_RECIPIENTS}`
+      });
+    }
+    
+    if (recipients.some(recipient => !recipient || typeof recipient !== 'object')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Each recipient must be an object with a "to" field'
+      });
+    }
+    
+    const { broadcast, duplicate } = broadcasts.createBroadcast(sessionName, { name, template, recipients, idempotencyKey });
+    
+    res.status(duplicate ? 200 : 202).json({
+      success: true,
+      message: duplicate ? 'Broadcast already created with this idempotency key' : `Broadcast queued for ${broadcast.counters.queued} recipients`,
+      data: broadcast,
+      duplicate
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/broadcasts
+ * @desc List broadcasts with their counters
+ */
+app.get('/api/sessions/:sessionName/broadcasts', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    const result = broadcasts.listBroadcasts(sessionName);
+    
+    res.json({
+      success: true,
+      data: result,
+      count: result.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/broadcasts/:broadcastId
+ * @desc Get a broadcast with per-recipient status and ack
+ */
+app.get('/api/sessions/:sessionName/broadcasts/:broadcastId', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName, broadcastId } = req.params;
+    const broadcast = broadcasts.getBroadcast(sessionName, broadcastId);
+    
+    if (!broadcast) {
+      return res.status(404).json({
+        success: false,
+        error: `Broadcast ${broadcastId} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: broadcast
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/sessions/:sessionName/broadcasts/:broadcastId
+ * @desc Cancel the recipients of a broadcast that were not sent yet
+ */
+app.delete('/api/sessions/:sessionName/broadcasts/:broadcastId', requirePermission('send'), async (req, res) => {
+  try {
+    const { sessionName, broadcastId } = req.params;
+    const broadcast = broadcasts.cancelBroadcast(sessionName, broadcastId);
+    
+    if (!broadcast) {
+      return res.status(404).json({
+        success: false,
+        error: `Broadcast ${broadcastId} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Broadcast ${broadcastId} cancelled`,
+      data: broadcast
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/chats
+ * @desc List chats (?label=Pending,5 keeps chats with any of the given label names or ids)
+ */
+app.get('/api/sessions/:sessionName/chats', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    const { label, withLabels, ...options } = req.query;
+    
+    // Convert string boolean values to actual booleans
+    Object.keys(options).forEach(key => {
+      if (options[key] === 'true') options[key] = true;
+      if (options[key] === 'false') options[key] = false;
+      if (typeof options[key] === 'string' && !isNaN(options[key]) && options[key] !== '') options[key] = parseInt(options[key]);
+    });
+    
+    // Label ids look numeric but must stay strings, and either parameter may be repeated or comma-separated
+    const labelFilter = [label, withLabels].flat().filter(Boolean)
+      .flatMap(value => String(value).split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+    if (labelFilter.length > 0) {
+      options.withLabels = labelFilter;
+    }
+    
+    const result = await wpp.listChats(sessionName, options);
+    
+    // Handle authentication failures
+    if (!result.success && !result.isAuthenticated) {
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+        isAuthenticated: false,
+        message: 'Session disconnected. Please reconnect.',
+        chats: result.chats || []
+      });
+    }
+    
+    // Success
+    res.json({
+      success: true,
+      data: result.chats,
+      count: result.chats.length,
+      isAuthenticated: result.isAuthenticated
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      chats: []
+    });
+  }
+});
+
+/**
+ * @route POST /api/sessions/:sessionName/chats/:chatId/labels
+ * @route POST /api/sessions/:sessionName/contacts/:contactId/labels
+ * @desc Add and/or remove labels on a chat or contact ({ add, remove }: label ids or names)
+ */
+app.post(['/api/sessions/:sessionName/chats/:chatId/labels', '/api/sessions/:sessionName/contacts/:contactId/labels'], requirePermission('send'), async (req, res) => {
+  try {
+    const { sessionName, chatId, contactId } = req.params;
+    const { add, remove } = req.body || {};
+    const result = await labels.applyLabels(sessionName, chatId || contactId, { add, remove });
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/sessions/:sessionName/chats/:chatId/archive
+ * @route POST /api/sessions/:sessionName/chats/:chatId/unarchive
+ * @route POST /api/sessions/:sessionName/chats/:chatId/pin
+ * @route POST /api/sessions/:sessionName/chats/:chatId/unpin
+ * @route POST /api/sessions/:sessionName/chats/:chatId/mute
+ * @route POST /api/sessions/:sessionName/chats/:chatId/unmute
+ * @route POST /api/sessions/:sessionName/chats/:chatId/read
+ * @route POST /api/sessions/:sessionName/chats/:chatId/unread
+ * @route POST /api/sessions/:sessionName/chats/:chatId/clear
+ * @desc Manage a chat ({ duration, unit: minutes|hours|days } to mute, { keepStarred } to clear)
+ */
+app.post(`/api/sessions/:sessionName/chats/:chatId/:action(${Object.keys(chats.CHAT_ACTIONS).filter(action => action !== 'delete').join('|')})`, requirePermission('send'), async (req, res) => {
+  try {
+    const { sessionName, chatId, action } = req.params;
+    const result = await chats.runChatAction(sessionName, chatId, action, req.body || {});
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/sessions/:sessionName/chats/:chatId
+ * @desc Delete a chat from the phone and every linked device
+ */
+app.delete('/api/sessions/:sessionName/chats/:chatId', requirePermission('send'), async (req, res) => {
+  try {
+    const { sessionName, chatId } = req.params;
+    const result = await chats.runChatAction(sessionName, chatId, 'delete');
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/chats/:chatId/messages
+ * @desc Get the stored message history of a chat (newest first)
+ * Query: limit, cursor (nextCursor of the previous page), since, until, direction (inbound|outbound), q (text search), order (desc|asc)
+ */
+app.get('/api/sessions/:sessionName/chats/:chatId/messages', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName, chatId } = req.params;
+    
+    if (!chatId.includes('@')) {
+      return res.status(400).json({
+        success: false,
+        error: 'chatId must be a WhatsApp id such as 50760000000@c.us or 120363000000000000@g.us'
+      });
+    }
+    
+    const { messages, nextCursor } = messageStore.queryMessages(sessionName, chatId, req.query);
+    
+    res.json({
+      success: true,
+      data: messages,
+      count: messages.length,
+      nextCursor
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/sessions/:sessionName/chats/:chatId/messages/backfill
+ * @desc Load older messages of a chat from WhatsApp into the stored history ({ count }, max 1000)
+ */
+app.post('/api/sessions/:sessionName/chats/:chatId/messages/backfill', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName, chatId } = req.params;
+    const { count } = req.body || {};
+    
+    if (!chatId.includes('@')) {
+      return res.status(400).json({
+        success: false,
+        error: 'chatId must be a WhatsApp id such as 50760000000@c.us or 120363000000000000@g.us'
+      });
+    }
+    
+    const result = await messageStore.backfillChat(sessionName, chatId, { count });
+    
+    // Handle authentication failures
+    if (!result.success && !result.isAuthenticated) {
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+        isAuthenticated: false,
+        message: 'Session disconnected. Please reconnect.'
+      });
+    }
+    
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        error: `Could not load messages from WhatsApp: ${result.error}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        loaded: result.loaded,
+        added: result.added,
+        hasMore: result.hasMore
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/messages/:messageId/media
+ * @desc Download the attachment of a received or sent message (?thumbnail=true&size=256 for an image preview, ?download=true to save as a file)
+ */
+app.get('/api/sessions/:sessionName/messages/:messageId/media', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName, messageId } = req.params;
+    const { thumbnail, size, download } = req.query;
+    
+    const result = thumbnail === 'true'
+      ? await mediaCache.getThumbnail(sessionName, messageId, size)
+      : await mediaCache.getMedia(sessionName, messageId);
+    
+    // Handle authentication failures
+    if (!result.success && !result.isAuthenticated) {
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+        isAuthenticated: false,
+        message: 'Session disconnected. Please reconnect.'
+      });
+    }
+    
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    // Plain ASCII name for old clients, the UTF-8 one for the rest
+    const asciiName = result.filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    // Sender-supplied types such as HTML or SVG would run in the API origin if rendered, they are always downloaded
+    const disposition = download !== 'true' && mediaCache.canServeInline(result.mimetype) ? 'inline' : 'attachment';
+    
+    res.set({
+      'Content-Type': result.mimetype,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(result.filename)}`,
+      'Cache-Control': 'private, max-age=86400',
+      'X-Media-Cache': result.cached ? 'HIT' : 'MISS'
+    });
+    res.sendFile(result.filePath);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/messages/:messageId/status
+ * @desc Get the delivery/read status of an outbound message with its ack history
+ */
+app.get('/api/sessions/:sessionName/messages/:messageId/status', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName, messageId } = req.params;
+    const status = messageStatus.getMessageStatus(sessionName, messageId);
+    
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: `No delivery status tracked for message ${messageId}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/groups
+ * @desc List the groups of a session
+ */
+app.get('/api/sessions/:sessionName/groups', requirePermission('read'), async (req, res) => {
+  try {
+    const result = await groups.listGroups(req.params.sessionName);
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/sessions/:sessionName/groups
+ * @desc Create a group ({ subject, participants }), reporting the outcome per participant
+ */
+app.post('/api/sessions/:sessionName/groups', requirePermission('send'), async (req, res) => {
+  try {
+    const { subject, participants } = req.body || {};
+    const result = await groups.createGroup(req.params.sessionName, { subject, participants });
+    sendClientResult(res, result, 201);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/groups/:groupId
+ * @desc Get a group with its description and participants
+ */
+app.get('/api/sessions/:sessionName/groups/:groupId', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName, groupId } = req.params;
+    const result = await groups.getGroup(sessionName, groupId);
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PATCH /api/sessions/:sessionName/groups/:groupId
+ * @desc Change the subject and/or description of a group ({ subject, description })
+ */
+app.patch('/api/sessions/:sessionName/groups/:groupId', requirePermission('send'), async (req, res) => {
+  try {
+    const { sessionName, groupId } = req.params;
+    const { subject, description } = req.body || {};
+    const result = await groups.updateGroup(sessionName, groupId, { subject, description });
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/sessions/:sessionName/groups/:groupId/participants/add
+ * @route POST /api/sessions/:sessionName/groups/:groupId/participants/remove
+ * @route POST /api/sessions/:sessionName/groups/:groupId/participants/promote
+ * @route POST /api/sessions/:sessionName/groups/:groupId/participants/demote
+ * @desc Change a batch of participants ({ participants }), reporting the outcome per participant
+ */
+app.post('/api/sessions/:sessionName/groups/:groupId/participants/:action', requirePermission('send'), async (req, res) => {
+  try {
+    const { sessionName, groupId, action } = req.params;
+    const { participants } = req.body || {};
+    const result = await groups.updateParticipants(sessionName, groupId, action, participants);
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/sessions/:sessionName/groups/:groupId/picture
+ * @desc Set the group picture from a multipart `file`, a `base64` body or a `url` (cropped to a 640x640 JPEG)
+ */
+app.put('/api/sessions/:sessionName/groups/:groupId/picture', requirePermission('send'), uploadFile, async (req, res) => {
+  try {
+    const { sessionName, groupId } = req.params;
+    const { base64, url } = req.body || {};
+    
+    const file = await media.resolveMedia({ file: req.file, base64, url });
+    if (!file.mimetype.startsWith('image/')) {
+      return res.status(415).json({
+        success: false,
+        error: `Expected image/* content for a group picture, got ${file.mimetype}`
+      });
+    }
+    
+    const picture = await media.toProfilePicture(file.buffer);
+    const result = await groups.setGroupPicture(sessionName, groupId, media.toDataUri(picture, 'image/jpeg'));
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/sessions/:sessionName/groups/:groupId/picture
+ * @desc Remove the group picture
+ */
+app.delete('/api/sessions/:sessionName/groups/:groupId/picture', requirePermission('send'), async (req, res) => {
+  try {
+    const { sessionName, groupId } = req.params;
+    const result = await groups.setGroupPicture(sessionName, groupId, null);
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/groups/:groupId/invite-link
+ * @desc Get the invite link of a group
+ */
+app.get('/api/sessions/:sessionName/groups/:groupId/invite-link', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName, groupId } = req.params;
+    const result = await groups.getInviteLink(sessionName, groupId);
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/sessions/:sessionName/groups/:groupId/invite-link/revoke
+ * @desc Revoke the invite link of a group and get the new one
+ */
+app.post('/api/sessions/:sessionName/groups/:groupId/invite-link/revoke', requirePermission('send'), async (req, res) => {
+  try {
+    const { sessionName, groupId } = req.params;
+    const result = await groups.getInviteLink(sessionName, groupId, { revoke: true });
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/sessions/:sessionName/groups/:groupId/leave
+ * @desc Leave a group
+ */
+app.post('/api/sessions/:sessionName/groups/:groupId/leave', requirePermission('send'), async (req, res) => {
+  try {
+    const { sessionName, groupId } = req.params;
+    const result = await groups.leaveGroup(sessionName, groupId);
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/labels
+ * @desc List the labels of a WhatsApp Business session with their chat counts
+ */
+app.get('/api/sessions/:sessionName/labels', requirePermission('read'), async (req, res) => {
+  try {
+    const result = await labels.listLabels(req.params.sessionName);
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/sessions/:sessionName/labels
+ * @desc Create a label ({ name, color }, color from WhatsApp's label palette)
+ */
+app.post('/api/sessions/:sessionName/labels', requirePermission('send'), async (req, res) => {
+  try {
+    const { name, color } = req.body || {};
+    const result = await labels.createLabel(req.params.sessionName, { name, color });
+    sendClientResult(res, result, 201);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PATCH /api/sessions/:sessionName/labels/:labelId
+ * @desc Rename and/or recolor a label ({ name, color }), by id or name
+ */
+app.patch('/api/sessions/:sessionName/labels/:labelId', requirePermission('send'), async (req, res) => {
+  try {
+    const { sessionName, labelId } = req.params;
+    const { name, color } = req.body || {};
+    const result = await labels.updateLabel(sessionName, labelId, { name, color });
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/sessions/:sessionName/labels/:labelId
+ * @desc Delete a label, by id or name
+ */
+app.delete('/api/sessions/:sessionName/labels/:labelId', requirePermission('send'), async (req, res) => {
+  try {
+    const { sessionName, labelId } = req.params;
+    const result = await labels.deleteLabel(sessionName, labelId);
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/contacts
+ * @desc List contacts (?q= to search names and numbers, ?onlyMyContacts=true, ?limit=&offset= to page)
+ */
+app.get('/api/sessions/:sessionName/contacts', requirePermission('read'), async (req, res) => {
+  try {
+    const result = await contacts.listContacts(req.params.sessionName, req.query);
+    
+    if (!result.success) {
+      return sendClientResult(res, result);
+    }
+    
+    res.json({
+      success: true,
+      data: result.result.contacts,
+      count: result.result.contacts.length,
+      total: result.result.total
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/sessions/:sessionName/contacts/check
+ * @desc Check which numbers are on WhatsApp ({ numbers }, max 100), returning the WID to send to for each
+ */
+app.post('/api/sessions/:sessionName/contacts/check', requirePermission('read'), async (req, res) => {
+  try {
+    const { numbers } = req.body || {};
+    const result = await contacts.checkNumbers(req.params.sessionName, numbers);
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/contacts/:contactId
+ * @desc Get a contact profile: name, about, profile picture URL and business flag (phone number or WID)
+ */
+app.get('/api/sessions/:sessionName/contacts/:contactId', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName, contactId } = req.params;
+    const result = await contacts.getContactProfile(sessionName, contactId);
+    sendClientResult(res, result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions
+ * @desc List known sessions with their status (never launches a browser)
+ */
+app.get('/api/sessions', requirePermission('read'), async (req, res) => {
+  try {
+    const sessions = (await wpp.getAllSessionsStatus())
+      .filter(session => apiKeys.canAccessSession(req.apiKey, session.sessionName))
+      .map(session => ({ ...session, lifecycleState: sessionLifecycle.getState(session.sessionName) }));
+    
+    res.json({
+      success: true,
+      data: sessions,
+      count: sessions.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/memory
+ * @desc Report memory usage of open browsers and the eviction limits
+ */
+app.get('/api/memory', requirePermission('read'), async (req, res) => {
+  try {
+    const sessionNames = wpp.listLoadedSessions()
+      .map(session => session.sessionName)
+      .filter(sessionName => apiKeys.canAccessSession(req.apiKey, sessionName));
+    const report = await sessionEviction.getMemoryReport(sessionNames);
+    
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/restore
+ * @desc Progress of the startup restore of previously authenticated sessions
+ */
+app.get('/api/restore', requirePermission('read'), async (req, res) => {
+  try {
+    const progress = sessionRestore.getRestoreProgress(sessionName => apiKeys.canAccessSession(req.apiKey, sessionName));
+    
+    res.json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName
+ * @desc Get the status of a session (never launches a browser)
+ */
+app.get('/api/sessions/:sessionName', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    const status = await wpp.getSessionStatus(sessionName);
+    
+    if (status.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: `Session ${sessionName} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { ...status, lifecycleState: sessionLifecycle.getState(sessionName) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/lifecycle
+ * @desc Get the lifecycle state of a session, its recent transitions and any automatic reconnect in progress (never launches a browser)
+ */
+app.get('/api/sessions/:sessionName/lifecycle', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    const lifecycle = sessionLifecycle.getLifecycle(sessionName);
+    
+    if (lifecycle.history.length === 0 && wpp.getLoadState(sessionName) === 'not-found') {
+      return res.status(404).json({
+        success: false,
+        error: `Session ${sessionName} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { ...lifecycle, reconnect: sessionSupervisor.getSupervision(sessionName) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/qr
+ * @desc Get the latest login QR of an initializing session as JSON, PNG or SVG (Accept header or ?format=)
+ * ?wait=true long-polls until a QR newer than ?after=<attempts> arrives or the login completes (?timeout seconds, max 55)
+ */
+app.get('/api/sessions/:sessionName/qr', requirePermission('admin'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    const { wait, after, timeout, format, size } = req.query;
+    
+    const formats = { json: 'application/json', png: 'image/png', svg: 'image/svg+xml' };
+    if (format && !formats[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported format: ${format}. Supported: ${Object.keys(formats).join(', ')}`
+      });
+    }
+    
+    const contentType = format ? formats[format] : req.accepts(Object.values(formats));
+    if (!contentType) {
+      return res.status(406).json({
+        success: false,
+        error: `Not acceptable. Supported: ${Object.values(formats).join(', ')}`
+      });
+    }
+    
+    let qr = qrCodes.getQRCode(sessionName);
+    
+    if (wait === 'true') {
+      const controller = new AbortController();
+      res.on('close', () => controller.abort());
+      
+      qr = await qrCodes.waitForQRUpdate(sessionName, {
+        afterAttempt: after !== undefined ? parseInt(after) || 0 : qr.attempts,
+        timeoutMs: Math.min(parseInt(timeout) || 25, 55) * 1000,
+        signal: controller.signal
+      });
+      
+      // The client went away while waiting
+      if (controller.signal.aborted) {
+        return;
+      }
+    }
+    
+    if (qr.status === 'not-initializing') {
+      return res.status(404).json({
+        success: false,
+        error: `Session ${sessionName} is not initializing, start it with POST /api/sessions/${sessionName}/initialize-with-qr`,
+        data: qr
+      });
+    }
+    
+    if (qr.status !== 'qr' || contentType === 'application/json') {
+      const { ascii, ...data } = qr;
+      return res.status(qr.status === 'initializing' ? 202 : 200).json({
+        success: true,
+        data
+      });
+    }
+    
+    const matrix = qrCodes.parseAsciiQR(qr.ascii);
+    if (!matrix) {
+      return res.status(500).json({
+        success: false,
+        error: 'Could not decode the QR code for rendering, use the JSON base64 image instead'
+      });
+    }
+    
+    const pixels = Math.min(Math.max(parseInt(size) || 300, 100), 1000);
+    res.set({
+      'Cache-Control': 'no-store',
+      'X-QR-Attempts': String(qr.attempts),
+      'X-QR-Expires-At': qr.expiresAt
+    });
+    
+    if (contentType === 'image/svg+xml') {
+      return res.type('image/svg+xml').send(qrCodes.renderSVG(matrix, { size: pixels }));
+    }
+    
+    res.type('image/png').send(await qrCodes.renderPNG(matrix, { size: pixels }));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/connection-state
+ * @desc Get connection state (read-only unless ?wake=true, which launches the session if needed)
+ */
+app.get('/api/sessions/:sessionName/connection-state', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    // Never wait on a launch in progress, report it as "initializing" instead
+    const wake = req.query.wake === 'true' && wpp.getLoadState(sessionName) !== 'initializing';
+    const connectionState = await wpp.getConnectionState(sessionName, { wake });
+    
+    res.json({
+      success: true,
+      data: { connectionState, loadState: wpp.getLoadState(sessionName) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/authenticated
+ * @desc Check if authenticated (read-only unless ?wake=true, which launches the session if needed)
+ */
+app.get('/api/sessions/:sessionName/authenticated', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    // Never wait on a launch in progress, report it as "initializing" instead
+    const wake = req.query.wake === 'true' && wpp.getLoadState(sessionName) !== 'initializing';
+    const isAuthenticated = await wpp.isAuthenticated(sessionName, { wake });
+    
+    res.json({
+      success: true,
+      data: { isAuthenticated, loadState: wpp.getLoadState(sessionName) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/wid
+ * @desc Get current WID (read-only unless ?wake=true, which launches the session if needed)
+ */
+app.get('/api/sessions/:sessionName/wid', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    // Never wait on a launch in progress, report it as "initializing" instead
+    const wake = req.query.wake === 'true' && wpp.getLoadState(sessionName) !== 'initializing';
+    const wid = await wpp.getWid(sessionName, { wake });
+    
+    res.json({
+      success: true,
+      data: { wid, loadState: wpp.getLoadState(sessionName) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/memory
+ * @desc Report memory usage of the session browser (never launches a browser)
+ */
+app.get('/api/sessions/:sessionName/memory', requirePermission('read'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    const report = await sessionEviction.getMemoryReport([sessionName]);
+    
+    if (report.sessions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Session ${sessionName} is not loaded`,
+        data: { loadState: wpp.getLoadState(sessionName) }
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: report.sessions[0]
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/sessions/:sessionName
+ * @desc Delete a WhatsApp session (cleans up cached client and persistent data)
+ */
+app.delete('/api/sessions/:sessionName', requirePermission('admin'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    
+    // Delete the session using the wpp module
+    const result = await wpp.deleteSession(sessionName);
+    
+    res.json({
+      success: true,
+      message: `Session ${sessionName} deleted successfully`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/webhooks
+ * @desc List webhooks registered for a session
+ */
+app.get('/api/sessions/:sessionName/webhooks', requirePermission('admin'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    const result = webhooks.listWebhooks(sessionName);
+    
+    res.json({
+      success: true,
+      data: result,
+      count: result.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/sessions/:sessionName/webhooks
+ * @desc Register a webhook for inbound message events (the signing secret is only returned here)
+ */
+app.post('/api/sessions/:sessionName/webhooks', requirePermission('admin'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    const { url, events, secret, description, enabled } = req.body;
+    
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: url'
+      });
+    }
+    
+    const validationError = webhooks.validateWebhook({ url, events });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const webhook = webhooks.createWebhook(sessionName, { url, events, secret, description, enabled });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registered successfully',
+      data: webhook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/webhooks/dead-letters
+ * @desc List webhook deliveries that exhausted their retries
+ */
+app.get('/api/sessions/:sessionName/webhooks/dead-letters', requirePermission('admin'), async (req, res) => {
+  try {
+    const { sessionName } = req.params;
+    const deadLetters = webhooks.listDeadLetters(sessionName);
+    
+    res.json({
+      success: true,
+      data: deadLetters,
+      count: deadLetters.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/sessions/:sessionName/webhooks/dead-letters/:deliveryId/replay
+ * @desc Replay a dead-lettered delivery in the background (answers 202, the entry stays listed as replaying until delivered)
+ */
+app.post('/api/sessions/:sessionName/webhooks/dead-letters/:deliveryId/replay', requirePermission('admin'), async (req, res) => {
+  try {
+    const { sessionName, deliveryId } = req.params;
+    const result = webhooks.replayDeadLetter(sessionName, deliveryId);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `Dead letter ${deliveryId} not found or its webhook was deleted`
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      message: 'Replay started, the dead letter is removed once delivered and updated if it fails again',
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/sessions/:sessionName/webhooks/dead-letters/:deliveryId
+ * @desc Discard a dead-lettered delivery
+ */
+app.delete('/api/sessions/:sessionName/webhooks/dead-letters/:deliveryId', requirePermission('admin'), async (req, res) => {
+  try {
+    const { sessionName, deliveryId } = req.params;
+    
+    if (!webhooks.deleteDeadLetter(sessionName, deliveryId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Dead letter ${deliveryId} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Dead letter ${deliveryId} deleted successfully`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/sessions/:sessionName/webhooks/:webhookId
+ * @desc Get a webhook
+ */
+app.get('/api/sessions/:sessionName/webhooks/:webhookId', requirePermission('admin'), async (req, res) => {
+  try {
+    const { sessionName, webhookId } = req.params;
+    const webhook = webhooks.getWebhook(sessionName, webhookId);
+    
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: `Webhook ${webhookId} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PATCH /api/sessions/:sessionName/webhooks/:webhookId
+ * @desc Update a webhook (url, events, secret, description, enabled)
+ */
+app.patch('/api/sessions/:sessionName/webhooks/:webhookId', requirePermission('admin'), async (req, res) => {
+  try {
+    const { sessionName, webhookId } = req.params;
+    const changes = req.body || {};
+    
+    const validationError = webhooks.validateWebhook(changes);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const webhook = webhooks.updateWebhook(sessionName, webhookId, changes);
+    
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: `Webhook ${webhookId} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/sessions/:sessionName/webhooks/:webhookId
+ * @desc Delete a webhook
+ */
+app.delete('/api/sessions/:sessionName/webhooks/:webhookId', requirePermission('admin'), async (req, res) => {
+  try {
+    const { sessionName, webhookId } = req.params;
+    
+    if (!webhooks.deleteWebhook(sessionName, webhookId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Webhook ${webhookId} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Webhook ${webhookId} deleted successfully`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/keys
+ * @desc List API keys (hashes are never returned)
+ */
+app.get('/api/keys', requireGlobalAdmin, async (req, res) => {
+  try {
+    const keys = apiKeys.listKeys();
+    
+    res.json({
+      success: true,
+      data: keys,
+      count: keys.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/keys
+ * @desc Create an API key scoped to sessions and permissions (the key is only returned here)
+ */
+app.post('/api/keys', requireGlobalAdmin, async (req, res) => {
+  try {
+    const { name, sessions, permissions } = req.body;
+    
+    const validationError = apiKeys.validateKeyDefinition({ sessions, permissions });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+    
+    const key = apiKeys.createKey({ name, sessions, permissions });
+    
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now, it cannot be retrieved again.',
+      data: key
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/keys/:keyId
+ * @desc Get an API key
+ */
+app.get('/api/keys/:keyId', requireGlobalAdmin, async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    const key = apiKeys.getKey(keyId);
+    
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: `API key ${keyId} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: key
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/keys/:keyId/rotate
+ * @desc Issue a new secret for a key, keeping its scope (the old secret stops working)
+ */
+app.post('/api/keys/:keyId/rotate', requireGlobalAdmin, async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    const key = apiKeys.rotateKey(keyId);
+    
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: `API key ${keyId} not found or revoked`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'API key rotated. Store the new key now, it cannot be retrieved again.',
+      data: key
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/keys/:keyId
+ * @desc Revoke an API key
+ */
+app.delete('/api/keys/:keyId', requireGlobalAdmin, async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    const key = apiKeys.revokeKey(keyId);
+    
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: `API key ${keyId} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `API key ${keyId} revoked`,
+      data: key
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error(err.stack);
+  res.status(500).json({
+    success: false,
+    error: 'Something went wrong!'
+  });
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    error: 'Endpoint not found'
+  });
+});
+
+// Socket.IO authentication - same API keys as the HTTP routes
+io.use(apiKeys.authenticateSocket);
+
+// Socket.IO connection handling
+io.on('connection', (socket) => {
   console.log(`📡 Client connected: ${socket.id}`);
   
   socket.on('disconnect', () => {
@@ -552,30 +2346,305 @@ io.on('connection', (socket) => {
   });
   
   // Join a session room for targeted updates
-  socket.on('join-session', (sessionName) => {
+  // Pass { subscribe: true } to also receive live message/ack/presence/state events
+  socket.on('join-session', (sessionName, options = {}) => {
+    if (!apiKeys.canAccessSession(socket.data.apiKey, sessionName)) {
+      socket.emit('session-error', {
+        sessionName,
+        error: `API key is not allowed to access session ${sessionName}`
+      });
+      return;
+    }
+    
     socket.join(`session-${sessionName}`);
     console.log(`📡 Client ${socket.id} joined session room: ${sessionName}`);
+    
+    // Start the client off with the current lifecycle state, changes follow as they happen
+    const lifecycle = sessionLifecycle.getLifecycle(sessionName);
+    socket.emit('session-state', {
+      sessionName,
+      state: lifecycle.state,
+      previousState: null,
+      reason: lifecycle.reason,
+      since: lifecycle.since
+    });
+    
+    if (options && options.subscribe) {
+      socket.join(streamRoom(sessionName));
+      console.log(`📡 Client ${socket.id} subscribed to live events for session: ${sessionName}`);
+    }
   });
   
-  // Leave a session room
+  // Leave a session room (and its live event stream)
   socket.on('leave-session', (sessionName) => {
     socket.leave(`session-${sessionName}`);
+    socket.leave(streamRoom(sessionName));
     console.log(`📡 Client ${socket.id} left session room: ${sessionName}`);
   });
 });
 
+// Relay live WhatsApp events to stream subscribers
+wpp.sessionEvents.on('message', ({ sessionName, message }) => {
+  io.to(streamRoom(sessionName)).emit('message', { sessionName, ...wpp.normalizeMessage(message) });
+});
+
+wpp.sessionEvents.on('ack-change', ({ sessionName, status }) => {
+  io.to(streamRoom(sessionName)).emit('message-ack', { sessionName, ...status });
+});
+
+wpp.sessionEvents.on('presence', ({ sessionName, presence }) => {
+  io.to(streamRoom(sessionName)).emit('presence', {
+    sessionName,
+    id: presence.id,
+    isOnline: presence.isOnline,
+    isGroup: presence.isGroup,
+    state: presence.state,
+    participants: presence.participants || [],
+    timestamp: new Date().toISOString()
+  });
+});
+
+wpp.sessionEvents.on('state-change', ({ sessionName, state }) => {
+  io.to(streamRoom(sessionName)).emit('state-change', {
+    sessionName,
+    state,
+    timestamp: new Date().toISOString()
+  });
+});
+
+wpp.sessionEvents.on('client-closed', ({ sessionName }) => {
+  io.to(streamRoom(sessionName)).emit('browser-closed', {
+    sessionName,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Relay lifecycle transitions to everyone watching the session
+wpp.sessionEvents.on('lifecycle-change', ({ sessionName, from, to, reason, at }) => {
+  io.to([`session-${sessionName}`, streamRoom(sessionName)]).emit('session-state', {
+    sessionName,
+    state: to,
+    previousState: from,
+    reason,
+    since: at
+  });
+  
+  // The first `ready` after a launch completes the QR/status flow of the session room
+  if (to === 'ready' && sessionLifecycle.STARTING_STATES.includes(from)) {
+    completeSessionRoom(sessionName);
+  }
+});
+
+// Relay automatic reconnect attempts (scheduled, attempting, failed, succeeded, stopped, gave-up)
+wpp.sessionEvents.on('session-reconnect', (event) => {
+  io.to([`session-${event.sessionName}`, streamRoom(event.sessionName)]).emit('session-reconnect', event);
+});
+
+// Helper function to announce a fully loaded session and release the sockets that only waited for it
+function completeSessionRoom(sessionName) {
+  const room = io.sockets.adapter.rooms.get(`session-${sessionName}`);
+  if (!room) {
+    return;
+  }
+  
+  console.log(`✅ WhatsApp fully ready for session: ${sessionName}`);
+  console.log(`🔌 Auto-disconnecting WebSocket clients for session: ${sessionName}`);
+  
+  room.forEach(socketId => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (!socket) {
+      return;
+    }
+    
+    socket.emit('session-complete', {
+      sessionName,
+      status: 'inChat',
+      state: 'ready',
+      message: 'WhatsApp fully loaded and ready. WebSocket connection will be closed.',
+      timestamp: new Date().toISOString()
+    });
+    
+    // Stream subscribers stay connected to keep receiving live events
+    if (socket.rooms.has(streamRoom(sessionName))) {
+      return;
+    }
+    
+    // Disconnect after a brief delay to ensure the message is sent
+    setTimeout(() => {
+      socket.disconnect();
+      console.log(`🔌 Disconnected WebSocket client: ${socketId}`);
+    }, 1000);
+  });
+}
+
+apiKeys.checkConfiguration();
+
+// Sessions that only exist to receive events must stay open, idle or not
+sessionEviction.exemptFromIdleEviction('webhooks', (sessionName) => {
+  return webhooks.listWebhooks(sessionName).some(webhook => webhook.enabled);
+});
+sessionEviction.exemptFromIdleEviction('stream-subscribers', (sessionName) => {
+  const room = io.sockets.adapter.rooms.get(streamRoom(sessionName));
+  return Boolean(room && room.size > 0);
+});
+// Restored sessions get one idle timeout of grace to receive what piled up while the server was down
+sessionEviction.exemptFromIdleEviction('restored', (sessionName) => {
+  const graceStart = Date.now() - sessionEviction.IDLE_TTL_MINUTES * 60 * 1000;
+  return sessionRestore.getRestoreProgress(name => name === sessionName).sessions
+    .some(entry => entry.status === 'restored' && new Date(entry.restoredAt).getTime() > graceStart);
+});
+
+// Close idle browsers periodically, they are revived on their next use
+sessionEviction.startEvictionSweep();
+
+// Remove downloaded media older than the cache retention
+mediaCache.startCacheSweep();
+
+// Remove stored messages past their retention and unload idle chats from memory
+messageStore.startStoreSweep();
+
+// Resume sending jobs that were still queued when the server stopped
+messageQueue.restoreQueues();
+
 server.listen(PORT, () => {
   console.log(`🚀 WhatsApp API Server running on port ${PORT}`);
   console.log(`📡 WebSocket server running on the same port`);
   console.log(`📚 API Documentation:`);
   console.log(`   GET    /health - Health check`);
-  console.log(`   POST   /api/sessions/:sessionName/initialize-with-qr - Initialize with WebSocket QR updates`);
+  console.log(`   POST   /api/sessions/:sessionName/initialize-with-qr - Initialize with WebSocket QR updates (or { phoneNumber } for a link code)`);
   console.log(`   POST   /api/sessions/:sessionName/send-message - Send text message`);
-  console.log(`   GET    /api/sessions/:sessionName/chats - List chats`);
-  console.log(`   GET    /api/sessions/:sessionName/connection-state - Get connection state`);
-  console.log(`   GET    /api/sessions/:sessionName/authenticated - Check if authenticated`);
-  console.log(`   GET    /api/sessions/:sessionName/wid - Get WID`);
+  console.log(`   POST   /api/sessions/:sessionName/send-{image|document|audio|video|sticker} - Send media message`);
+  console.log(`   POST   /api/sessions/:sessionName/messages - Send text, link, location, vcard or poll message`);
+  console.log(`   GET    /api/message-types - JSON Schema of each message type`);
+  console.log(`   POST   /api/sessions/:sessionName/queue - Queue text message`);
+  console.log(`   GET    /api/sessions/:sessionName/queue - Inspect outbound queue`);
+  console.log(`   PATCH  /api/sessions/:sessionName/queue - Configure queue throttling`);
+  console.log(`   POST   /api/sessions/:sessionName/queue/pause - Pause outbound queue`);
+  console.log(`   POST   /api/sessions/:sessionName/queue/resume - Resume outbound queue`);
+  console.log(`   GET    /api/sessions/:sessionName/queue/:jobId - Get queued job`);
+  console.log(`   DELETE /api/sessions/:sessionName/queue/:jobId - Cancel queued job`);
+  console.log(`   POST   /api/sessions/:sessionName/broadcasts - Create templated broadcast`);
+  console.log(`   GET    /api/sessions/:sessionName/broadcasts - List broadcasts`);
+  console.log(`   GET    /api/sessions/:sessionName/broadcasts/:broadcastId - Get broadcast progress`);
+  console.log(`   DELETE /api/sessions/:sessionName/broadcasts/:broadcastId - Cancel broadcast`);
+  console.log(`   GET    /api/sessions/:sessionName/chats - List chats (?label= to filter by label)`);
+  console.log(`   POST   /api/sessions/:sessionName/chats/:chatId/labels - Add/remove chat labels`);
+  console.log(`   POST   /api/sessions/:sessionName/chats/:chatId/{archive|unarchive|pin|unpin|mute|unmute|read|unread|clear} - Manage chat`);
+  console.log(`   DELETE /api/sessions/:sessionName/chats/:chatId - Delete chat`);
+  console.log(`   GET    /api/sessions/:sessionName/chats/:chatId/messages - Query stored message history`);
+  console.log(`   POST   /api/sessions/:sessionName/chats/:chatId/messages/backfill - Load older messages into history`);
+  console.log(`   GET    /api/sessions/:sessionName/messages/:messageId/media - Download message media (?thumbnail=true for images)`);
+  console.log(`   GET    /api/sessions/:sessionName/messages/:messageId/status - Get message delivery status`);
+  console.log(`   GET    /api/sessions/:sessionName/groups - List groups`);
+  console.log(`   POST   /api/sessions/:sessionName/groups - Create group`);
+  console.log(`   GET    /api/sessions/:sessionName/groups/:groupId - Get group with participants`);
+  console.log(`   PATCH  /api/sessions/:sessionName/groups/:groupId - Change group subject/description`);
+  console.log(`   POST   /api/sessions/:sessionName/groups/:groupId/participants/{add|remove|promote|demote} - Change participants`);
+  console.log(`   PUT    /api/sessions/:sessionName/groups/:groupId/picture - Set group picture`);
+  console.log(`   DELETE /api/sessions/:sessionName/groups/:groupId/picture - Remove group picture`);
+  console.log(`   GET    /api/sessions/:sessionName/groups/:groupId/invite-link - Get group invite link`);
+  console.log(`   POST   /api/sessions/:sessionName/groups/:groupId/invite-link/revoke - Revoke group invite link`);
+  console.log(`   POST   /api/sessions/:sessionName/groups/:groupId/leave - Leave group`);
+  console.log(`   GET    /api/sessions/:sessionName/labels - List labels`);
+  console.log(`   POST   /api/sessions/:sessionName/labels - Create label`);
+  console.log(`   PATCH  /api/sessions/:sessionName/labels/:labelId - Update label`);
+  console.log(`   DELETE /api/sessions/:sessionName/labels/:labelId - Delete label`);
+  console.log(`   GET    /api/sessions/:sessionName/contacts - List and search contacts`);
+  console.log(`   POST   /api/sessions/:sessionName/contacts/:contactId/labels - Add/remove contact labels`);
+  console.log(`   POST   /api/sessions/:sessionName/contacts/check - Check which numbers are on WhatsApp`);
+  console.log(`   GET    /api/sessions/:sessionName/contacts/:contactId - Get contact profile`);
+  console.log(`   GET    /api/sessions - List sessions with status`);
+  console.log(`   GET    /api/sessions/:sessionName - Get session status`);
+  console.log(`   GET    /api/memory - Memory usage of open browsers`);
+  console.log(`   GET    /api/restore - Startup session restore progress`);
+  console.log(`   GET    /api/sessions/:sessionName/lifecycle - Get lifecycle state and transition history`);
+  console.log(`   GET    /api/sessions/:sessionName/qr - Get login QR as JSON, PNG or SVG (?wait=true to long-poll)`);
+  console.log(`   GET    /api/sessions/:sessionName/connection-state - Get connection state (?wake=true to launch)`);
+  console.log(`   GET    /api/sessions/:sessionName/authenticated - Check if authenticated (?wake=true to launch)`);
+  console.log(`   GET    /api/sessions/:sessionName/wid - Get WID (?wake=true to launch)`);
+  console.log(`   GET    /api/sessions/:sessionName/memory - Session browser memory usage`);
   console.log(`   DELETE /api/sessions/:sessionName - Delete session (cleans up client and data)`);
+  console.log(`   GET    /api/keys - List API keys (global admin)`);
+  console.log(`   POST   /api/keys - Create API key (global admin)`);
+  console.log(`   GET    /api/keys/:keyId - Get API key (global admin)`);
+  console.log(`   POST   /api/keys/:keyId/rotate - Rotate API key (global admin)`);
+  console.log(`   DELETE /api/keys/:keyId - Revoke API key (global admin)`);
+  console.log(`   GET    /api/sessions/:sessionName/webhooks - List webhooks`);
+  console.log(`   POST   /api/sessions/:sessionName/webhooks - Register webhook`);
+  console.log(`   GET    /api/sessions/:sessionName/webhooks/:webhookId - Get webhook`);
+  console.log(`   PATCH  /api/sessions/:sessionName/webhooks/:webhookId - Update webhook`);
+  console.log(`   DELETE /api/sessions/:sessionName/webhooks/:webhookId - Delete webhook`);
+  console.log(`   GET    /api/sessions/:sessionName/webhooks/dead-letters - List failed deliveries`);
+  console.log(`   POST   /api/sessions/:sessionName/webhooks/dead-letters/:deliveryId/replay - Replay failed delivery`);
+  
+  // Reconnect previously authenticated sessions in the background so inbound events are not missed
+  sessionRestore.restoreSessions().catch(error => {
+    console.error('❌ Session restore error:', error.message);
+  });
 });
 
+/**
+ * Graceful shutdown: stop accepting requests, let in-flight sends finish, notify sockets,
+ * persist state and close every browser cleanly (no stale Chrome lock files) within SHUTDOWN_TIMEOUT_MS
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.log(`🛑 Received ${signal} again, forcing exit`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`\n🛑 Received ${signal}, shutting down gracefully (deadline ${SHUTDOWN_TIMEOUT_MS}ms)...`);
+
+  const deadline = setTimeout(() => {
+    console.log('⏰ Shutdown deadline reached, forcing exit');
+    messageStatus.flush();
+    broadcasts.flush();
+    messageStore.flush();
+    sessionRestore.saveManifest();
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  deadline.unref();
+
+  try {
+    // 1. Stop accepting connections and background work
+    server.close();
+    sessionEviction.stopEvictionSweep();
+    mediaCache.stopCacheSweep();
+    messageStore.stopStoreSweep();
+    sessionSupervisor.stopSupervisor();
+
+    wpp.sessionEvents.emit('server-shutdown');
+    io.emit('server-shutdown', {
+      message: 'Server is shutting down, reconnect shortly',
+      timestamp: new Date().toISOString()
+    });
+
+    // 2. Let queued sends and HTTP requests that are already running finish
+    await messageQueue.drainQueues();
+    while (inFlightRequests > 0) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    console.log('✅ In-flight work finished');
+
+    // 3. Persist state, then close the browsers (the manifest keeps them marked for restore)
+    messageStatus.flush();
+    broadcasts.flush();
+    messageStore.flush();
+    await wpp.closeAllClients();
+    sessionRestore.saveManifest();
+
+    // 4. Disconnect sockets
+    io.close();
+
+    console.log('👋 Shutdown complete');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during shutdown:', error.message);
+    process.exit(1);
+  }
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 module.exports = app;
@@ -0,0 +1,173 @@
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+
+// Helper function to read a non-negative integer setting where 0 is meaningful (disabled/unlimited)
+function readSetting(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+// Browsers idle for longer than this are closed (0 disables idle eviction)
+const IDLE_TTL_MINUTES = readSetting('SESSION_IDLE_TTL_MINUTES', 30);
+
+// Maximum number of browsers open at once, least recently used ones are closed first (0 = unlimited)
+const MAX_OPEN_BROWSERS = readSetting('SESSION_MAX_OPEN_BROWSERS', 8);
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let sweepTimer = null;
+
+// Checks that keep a session from idle eviction, by reason (e.g. sessions that only listen for events)
+const idleExemptions = new Map();
+
+/**
+ * Keep sessions matching `check(sessionName)` from being closed for idleness
+ * They still count towards the open browser limit
+ */
+function exemptFromIdleEviction(reason, check) {
+  idleExemptions.set(reason, check);
+}
+
+/**
+ * List the reasons a session is kept from idle eviction, empty when it can be evicted
+ */
+function getIdleExemptions(sessionName) {
+  return Array.from(idleExemptions.entries())
+    .filter(([, check]) => {
+      try {
+        return check(sessionName);
+      } catch (error) {
+        console.error(`❌ Idle exemption check error for ${sessionName}:`, error.message);
+        return false;
+      }
+    })
+    .map(([reason]) => reason);
+}
+
+/**
+ * Close every browser that has not been used within the idle TTL
+ * Returns the names of the evicted sessions
+ */
+async function evictIdleSessions() {
+  if (IDLE_TTL_MINUTES === 0) {
+    return [];
+  }
+
+  const cutoff = Date.now() - IDLE_TTL_MINUTES * 60 * 1000;
+  const idle = wpp.listLoadedSessions()
+    .filter(session => session.lastUsedAt < cutoff)
+    .filter(session => getIdleExemptions(session.sessionName).length === 0);
+
+  for (const { sessionName } of idle) {
+    console.log(`💤 Evicting session ${sessionName}: idle for more than ${IDLE_TTL_MINUTES} minutes`);
+    await wpp.closeClient(sessionName);
+  }
+
+  return idle.map(session => session.sessionName);
+}
+
+/**
+ * Close the least recently used browsers until the open count fits the budget
+ * The session that was just opened is never the one evicted
+ */
+async function enforceBrowserLimit(keepSessionName) {
+  if (MAX_OPEN_BROWSERS === 0) {
+    return [];
+  }
+
+  const loaded = wpp.listLoadedSessions();
+  const excess = loaded.length - MAX_OPEN_BROWSERS;
+  if (excess <= 0) {
+    return [];
+  }
+
+  const victims = loaded
+    .filter(session => session.sessionName !== keepSessionName)
+    .sort((a, b) => a.lastUsedAt - b.lastUsedAt)
+    .slice(0, excess);
+
+  for (const { sessionName } of victims) {
+    console.log(`💤 Evicting session ${sessionName}: ${loaded.length} browsers open, limit is ${MAX_OPEN_BROWSERS}`);
+    await wpp.closeClient(sessionName);
+  }
+
+  return victims.map(session => session.sessionName);
+}
+
+/**
+ * Report memory usage per open browser, plus the server process and the eviction limits
+ * @param {string[]} [sessionNames] - restrict the report to these sessions
+ */
+async function getMemoryReport(sessionNames) {
+  const loaded = wpp.listLoadedSessions()
+    .filter(session => !sessionNames || sessionNames.includes(session.sessionName));
+
+  const sessions = [];
+  for (const { sessionName, lastUsedAt } of loaded) {
+    const memory = await wpp.getClientMemory(sessionName);
+    if (memory) {
+      sessions.push({
+        ...memory,
+        lastUsedAt: lastUsedAt ? new Date(lastUsedAt).toISOString() : null,
+        idleSeconds: lastUsedAt ? Math.round((Date.now() - lastUsedAt) / 1000) : null,
+        idleExemptions: getIdleExemptions(sessionName)
+      });
+    }
+  }
+
+  return {
+    openBrowsers: wpp.listLoadedSessions().length,
+    browsersRssBytes: sessions.reduce((total, session) => total + (session.rssBytes || 0), 0),
+    serverRssBytes: process.memoryUsage().rss,
+    limits: {
+      idleTtlMinutes: IDLE_TTL_MINUTES,
+      maxOpenBrowsers: MAX_OPEN_BROWSERS
+    },
+    sessions
+  };
+}
+
+/**
+ * Start the periodic idle sweep
+ */
+function startEvictionSweep() {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(() => {
+    evictIdleSessions().catch(error => {
+      console.error('❌ Idle session sweep error:', error.message);
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  console.log(`💤 Session eviction: idle TTL ${IDLE_TTL_MINUTES || 'disabled'} min, max open browsers ${MAX_OPEN_BROWSERS || 'unlimited'}`);
+}
+
+/**
+ * Stop the periodic idle sweep
+ */
+function stopEvictionSweep() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+// Keep the number of open browsers within budget whenever a new one is launched
+wpp.sessionEvents.on('client-created', ({ sessionName }) => {
+  enforceBrowserLimit(sessionName).catch(error => {
+    console.error('❌ Browser limit enforcement error:', error.message);
+  });
+});
+
+module.exports = {
+  IDLE_TTL_MINUTES,
+  MAX_OPEN_BROWSERS,
+  exemptFromIdleEviction,
+  getIdleExemptions,
+  evictIdleSessions,
+  enforceBrowserLimit,
+  getMemoryReport,
+  startEvictionSweep,
+  stopEvictionSweep
+};
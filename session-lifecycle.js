@@ -0,0 +1,183 @@
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+
+// Lifecycle states of a session
+// cold → launching → awaiting-qr / awaiting-link-code → authenticating → ready ⇄ disconnected, ending in logged-out or failed
+const STATES = ['cold', 'launching', 'awaiting-qr', 'awaiting-link-code', 'authenticating', 'ready', 'disconnected', 'logged-out', 'failed'];
+
+// States a session goes through before its first `ready`
+const STARTING_STATES = ['launching', 'awaiting-qr', 'awaiting-link-code', 'authenticating'];
+
+// Socket states (onStateChange) meaning the session lost its connection, or was unlinked from the phone
+const DISCONNECTED_STATES = ['CONFLICT', 'TIMEOUT', 'UNLAUNCHED', 'PROXYBLOCK', 'TOS_BLOCK', 'SMB_TOS_BLOCK', 'DEPRECATED_VERSION'];
+const UNPAIRED_STATES = ['UNPAIRED', 'UNPAIRED_IDLE'];
+
+// Transitions kept per session
+const HISTORY_LIMIT = 50;
+
+// Lifecycle per session name: { state, since, reason, history: [{ from, to, reason, at }] }
+const machines = new Map();
+
+// Helper function to get (or start in `cold`) the lifecycle of a session
+function getMachine(sessionName) {
+  if (!machines.has(sessionName)) {
+    machines.set(sessionName, { state: 'cold', since: null, reason: null, history: [] });
+  }
+  return machines.get(sessionName);
+}
+
+// Helper function to move a session to a new state, recording it and announcing it on the session event bus
+function transition(sessionName, to, reason) {
+  const machine = getMachine(sessionName);
+  const from = machine.state;
+
+  if (from === to) {
+    return;
+  }
+
+  const at = new Date().toISOString();
+  machine.state = to;
+  machine.since = at;
+  machine.reason = reason;
+  machine.history.push({ from, to, reason, at });
+  if (machine.history.length > HISTORY_LIMIT) {
+    machine.history.shift();
+  }
+
+  console.log(`🔁 Session ${sessionName}: ${from} → ${to} (${reason})`);
+  wpp.sessionEvents.emit('lifecycle-change', { sessionName, from, to, reason, at });
+}
+
+// Helper function to check the current state of a session
+function isIn(sessionName, states) {
+  return states.includes(getMachine(sessionName).state);
+}
+
+/**
+ * Mark a session as logged out when a check outside the raw signals found it unpaired (e.g. a relaunch asking for a QR scan)
+ */
+function markLoggedOut(sessionName, reason) {
+  transition(sessionName, 'logged-out', reason);
+}
+
+/**
+ * Mark a disconnected session as ready again when a check outside the raw signals found it connected
+ */
+function markConnected(sessionName, reason) {
+  if (isIn(sessionName, ['disconnected']) && wpp.getLoadState(sessionName) === 'loaded') {
+    transition(sessionName, 'ready', reason);
+  }
+}
+
+/**
+ * Get the current state of a session
+ */
+function getState(sessionName) {
+  return machines.has(sessionName) ? machines.get(sessionName).state : 'cold';
+}
+
+/**
+ * Get the lifecycle of a session: current state, when and why it was entered, and the transition history (oldest first)
+ */
+function getLifecycle(sessionName) {
+  const machine = machines.get(sessionName) || { state: 'cold', since: null, reason: null, history: [] };
+  return {
+    sessionName,
+    state: machine.state,
+    since: machine.since,
+    reason: machine.reason,
+    history: machine.history.slice()
+  };
+}
+
+// Launch progress
+wpp.sessionEvents.on('launch-started', ({ sessionName }) => {
+  transition(sessionName, 'launching', 'browser launch started');
+});
+
+wpp.sessionEvents.on('qr-code', ({ sessionName, qr }) => {
+  transition(sessionName, 'awaiting-qr', `QR code attempt ${qr.attempts}`);
+});
+
+wpp.sessionEvents.on('link-code', ({ sessionName }) => {
+  transition(sessionName, 'awaiting-link-code', 'link code issued');
+});
+
+// Raw wppconnect statusFind strings
+wpp.sessionEvents.on('status-find', ({ sessionName, status }) => {
+  switch (status) {
+    case 'qrReadSuccess':
+    case 'isLogged':
+    case 'inChat':
+      if (isIn(sessionName, STARTING_STATES)) {
+        transition(sessionName, 'authenticating', status);
+      } else if (isIn(sessionName, ['disconnected']) && status === 'inChat') {
+        transition(sessionName, 'ready', status);
+      }
+      break;
+    case 'phoneNotConnected':
+    case 'serverClose':
+    case 'browserClose':
+      if (!isIn(sessionName, ['logged-out', 'failed'])) {
+        transition(sessionName, 'disconnected', status);
+      }
+      break;
+    case 'desconnectedMobile':
+      transition(sessionName, 'logged-out', status);
+      break;
+    default:
+      break;
+  }
+});
+
+// The client exists once login went through, it is ready when the main interface has synced
+wpp.sessionEvents.on('client-created', async ({ sessionName }) => {
+  transition(sessionName, 'authenticating', 'client created');
+
+  if (await wpp.isMainReady(sessionName) && isIn(sessionName, ['authenticating'])) {
+    transition(sessionName, 'ready', 'main interface ready');
+  }
+});
+
+wpp.sessionEvents.on('interface-change', ({ sessionName, mode }) => {
+  if (mode === 'MAIN' && wpp.getLoadState(sessionName) === 'loaded' && isIn(sessionName, ['authenticating', 'disconnected'])) {
+    transition(sessionName, 'ready', 'main interface ready');
+  }
+});
+
+// Socket state of a running client
+wpp.sessionEvents.on('state-change', ({ sessionName, state }) => {
+  if (UNPAIRED_STATES.includes(state)) {
+    transition(sessionName, 'logged-out', `state ${state}`);
+  } else if (DISCONNECTED_STATES.includes(state) && isIn(sessionName, ['ready'])) {
+    transition(sessionName, 'disconnected', `state ${state}`);
+  } else if (state === 'CONNECTED' && isIn(sessionName, ['disconnected'])) {
+    transition(sessionName, 'ready', `state ${state}`);
+  }
+});
+
+// End of a launch or of a browser
+wpp.sessionEvents.on('client-failed', ({ sessionName, error }) => {
+  if (!isIn(sessionName, ['logged-out'])) {
+    transition(sessionName, 'failed', error);
+  }
+});
+
+wpp.sessionEvents.on('client-closed', ({ sessionName }) => {
+  if (!isIn(sessionName, ['logged-out'])) {
+    transition(sessionName, 'cold', 'browser closed');
+  }
+});
+
+wpp.sessionEvents.on('session-deleted', ({ sessionName }) => {
+  transition(sessionName, 'cold', 'session deleted');
+});
+
+module.exports = {
+  STATES,
+  STARTING_STATES,
+  getState,
+  getLifecycle,
+  markLoggedOut,
+  markConnected
+};
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+const sessionEviction = require('./session-eviction');
+
+// Manifest of sessions that were authenticated, so they can be reconnected after a restart
+const MANIFEST_PATH = path.join(__dirname, 'data', 'sessions-manifest.json');
+const TOKENS_DIR = path.join(__dirname, 'data', 'tokens');
+
+const RESTORE_ENABLED = process.env.SESSION_RESTORE_ENABLED !== 'false';
+const STAGGER_MS = parseInt(process.env.SESSION_RESTORE_STAGGER_MS) || 10000;
+const LOGIN_TIMEOUT_MS = parseInt(process.env.SESSION_RESTORE_LOGIN_TIMEOUT_MS) || 60000;
+
+let manifest = null;
+
+// Restore progress of the current boot
+const progress = {
+  status: RESTORE_ENABLED ? 'idle' : 'disabled',
+  startedAt: null,
+  completedAt: null,
+  sessions: []
+};
+
+// Helper function to load (and cache) the manifest
+// Without a manifest yet (first boot with this feature) every session folder is a candidate
+function loadManifest() {
+  if (manifest) {
+    return manifest;
+  }
+
+  manifest = {};
+  try {
+    if (fs.existsSync(MANIFEST_PATH)) {
+      manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    } else if (fs.existsSync(TOKENS_DIR)) {
+      fs.readdirSync(TOKENS_DIR, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory())
+        .forEach(dirent => {
+          manifest[dirent.name] = { authenticated: true, lastConnectedAt: null, lastActiveAt: null };
+        });
+      console.log(`🗂️ No session manifest yet, seeding it with ${Object.keys(manifest).length} sessions from data/tokens`);
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not read session manifest: ${error.message}`);
+  }
+
+  return manifest;
+}
+
+/**
+ * Write the manifest to disk
+ */
+function saveManifest() {
+  try {
+    fs.mkdirSync(path.dirname(MANIFEST_PATH), { recursive: true });
+    fs.writeFileSync(`${MANIFEST_PATH}.tmp`, JSON.stringify(loadManifest(), null, 2));
+    fs.renameSync(`${MANIFEST_PATH}.tmp`, MANIFEST_PATH);
+  } catch (error) {
+    console.log(`⚠️ Could not persist session manifest: ${error.message}`);
+  }
+}
+
+// Helper function to merge changes into the manifest entry of a session
+function updateEntry(sessionName, changes) {
+  const entries = loadManifest();
+  entries[sessionName] = {
+    authenticated: false,
+    lastConnectedAt: null,
+    lastActiveAt: null,
+    ...entries[sessionName],
+    ...changes
+  };
+  saveManifest();
+}
+
+// Helper function to reconnect one session without ever waiting on a QR scan for long
+async function restoreSession(entry) {
+  entry.status = 'restoring';
+  entry.startedAt = new Date().toISOString();
+  console.log(`♻️ Restoring session: ${entry.sessionName}`);
+
+  let needsLogin = false;
+
+  try {
+    await wpp.getOrCreateClientWithCallbacks(entry.sessionName, {
+      // Gives up (and closes the browser) if the session asks for a new QR scan
+      autoClose: LOGIN_TIMEOUT_MS,
+      onStatusChange: ({ status }) => {
+        if (status === 'notLogged') {
+          needsLogin = true;
+        }
+      }
+    });
+
+    entry.status = 'restored';
+    entry.restoredAt = new Date().toISOString();
+    console.log(`✅ Session restored: ${entry.sessionName}`);
+  } catch (error) {
+    entry.status = 'failed';
+    entry.error = needsLogin ? 'Session is no longer paired, a new QR scan is required' : error.message;
+    console.log(`❌ Could not restore session ${entry.sessionName}: ${entry.error}`);
+
+    // Do not retry an unpaired session on every boot
+    if (needsLogin) {
+      updateEntry(entry.sessionName, { authenticated: false });
+    }
+  }
+
+  entry.finishedAt = new Date().toISOString();
+}
+
+/**
+ * Reconnect the sessions that were authenticated before shutdown, one at a time
+ * Most recently active sessions go first; sessions beyond the open browser budget are skipped
+ * (they are still revived on their first API call)
+ */
+async function restoreSessions() {
+  if (!RESTORE_ENABLED || progress.status === 'running') {
+    return getRestoreProgress();
+  }
+
+  const entries = loadManifest();
+  const candidates = Object.keys(entries)
+    .filter(sessionName => entries[sessionName].authenticated)
+    .filter(sessionName => fs.existsSync(path.join(TOKENS_DIR, sessionName)))
+    .sort((a, b) => (entries[b].lastActiveAt || '').localeCompare(entries[a].lastActiveAt || ''));
+
+  const budget = sessionEviction.MAX_OPEN_BROWSERS || candidates.length;
+
+  progress.status = 'running';
+  progress.startedAt = new Date().toISOString();
+  progress.completedAt = null;
+  progress.sessions = candidates.map(sessionName => ({
+    sessionName,
+    status: 'pending',
+    error: null,
+    startedAt: null,
+    finishedAt: null,
+    restoredAt: null
+  }));
+
+  console.log(`♻️ Restoring up to ${budget} of ${candidates.length} previously authenticated sessions`);
+
+  for (let i = 0; i < progress.sessions.length; i++) {
+    const entry = progress.sessions[i];
+
+    // Failed sessions do not use up the budget, restored ones do
+    if (progress.sessions.filter(candidate => candidate.status === 'restored').length >= budget) {
+      entry.status = 'skipped';
+      entry.error = 'Open browser limit reached, will start on first use';
+      continue;
+    }
+
+    // Someone may have woken it through the API in the meantime
+    if (wpp.getLoadState(entry.sessionName) === 'loaded') {
+      entry.status = 'restored';
+      entry.restoredAt = new Date().toISOString();
+      continue;
+    }
+
+    await restoreSession(entry);
+
+    // Spread the Chrome launches out to avoid CPU spikes
+    if (i < progress.sessions.length - 1) {
+      await new Promise(resolve => setTimeout(resolve, STAGGER_MS));
+    }
+  }
+
+  progress.status = 'completed';
+  progress.completedAt = new Date().toISOString();
+  console.log('♻️ Session restore finished', JSON.stringify(getRestoreSummary()));
+
+  return getRestoreProgress();
+}
+
+/**
+ * Get restore counters without session names (safe for the public health check)
+ */
+function getRestoreSummary() {
+  const counts = { total: progress.sessions.length, pending: 0, restoring: 0, restored: 0, failed: 0, skipped: 0 };
+  progress.sessions.forEach(entry => {
+    counts[entry.status]++;
+  });
+
+  return { status: progress.status, ...counts };
+}
+
+/**
+ * Get the detailed restore progress, optionally restricted to some sessions
+ * @param {Function} [filter] - predicate on session name
+ */
+function getRestoreProgress(filter = () => true) {
+  return {
+    ...getRestoreSummary(),
+    startedAt: progress.startedAt,
+    completedAt: progress.completedAt,
+    sessions: progress.sessions.filter(entry => filter(entry.sessionName))
+  };
+}
+
+// Keep the manifest in sync with the life of each session
+wpp.sessionEvents.on('client-created', ({ sessionName }) => {
+  const now = new Date().toISOString();
+  updateEntry(sessionName, { authenticated: true, lastConnectedAt: now, lastActiveAt: now });
+});
+
+wpp.sessionEvents.on('client-closed', ({ sessionName }) => {
+  updateEntry(sessionName, { lastActiveAt: new Date().toISOString() });
+});
+
+// The phone unlinked this device (see session-lifecycle.js)
+wpp.sessionEvents.on('lifecycle-change', ({ sessionName, to }) => {
+  if (to === 'logged-out') {
+    updateEntry(sessionName, { authenticated: false });
+  }
+});
+
+wpp.sessionEvents.on('session-deleted', ({ sessionName }) => {
+  const entries = loadManifest();
+  if (entries[sessionName]) {
+    delete entries[sessionName];
+    saveManifest();
+  }
+});
+
+module.exports = {
+  LOGIN_TIMEOUT_MS,
+  saveManifest,
+  restoreSessions,
+  getRestoreSummary,
+  getRestoreProgress
+};
@@ -0,0 +1,212 @@
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+const sessionLifecycle = require('./session-lifecycle');
+const sessionRestore = require('./session-restore');
+
+// Helper function to read a non-negative integer setting where 0 is meaningful (unlimited)
+function readSetting(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+const RECONNECT_ENABLED = process.env.SESSION_RECONNECT_ENABLED !== 'false';
+const BASE_DELAY_MS = parseInt(process.env.SESSION_RECONNECT_BASE_DELAY_MS) || 5000;
+const MAX_DELAY_MS = parseInt(process.env.SESSION_RECONNECT_MAX_DELAY_MS) || 5 * 60 * 1000;
+
+// Attempts before giving up on a session (0 = keep trying)
+const MAX_ATTEMPTS = readSetting('SESSION_RECONNECT_MAX_ATTEMPTS', 10);
+
+// A live browser that does not answer within this long is relaunched
+const PROBE_TIMEOUT_MS = 10000;
+
+// Supervised sessions: sessionName -> { status, attempt, startedAt, nextAttemptAt, dropReason, lastError, timer }
+// status: `waiting` (backoff before the next attempt), `reconnecting`, `gave-up`
+const supervisions = new Map();
+
+let stopped = false;
+
+// Helper function to announce a reconnect step on the session event bus
+function emitReconnect(sessionName, phase, details = {}) {
+  wpp.sessionEvents.emit('session-reconnect', {
+    sessionName,
+    phase,
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Helper function to forget a supervised session
+function endSupervision(sessionName) {
+  const supervision = supervisions.get(sessionName);
+  if (supervision) {
+    clearTimeout(supervision.timer);
+    supervisions.delete(sessionName);
+  }
+  return supervision;
+}
+
+// Helper function to wait for the next attempt, or give up once the attempts are exhausted
+function scheduleAttempt(sessionName) {
+  const supervision = supervisions.get(sessionName);
+
+  if (MAX_ATTEMPTS > 0 && supervision.attempt >= MAX_ATTEMPTS) {
+    supervision.status = 'gave-up';
+    supervision.nextAttemptAt = null;
+    console.log(`🛑 Giving up reconnecting session ${sessionName} after ${supervision.attempt} attempts`);
+    emitReconnect(sessionName, 'gave-up', { attempt: supervision.attempt, error: supervision.lastError });
+    return;
+  }
+
+  const delayMs = Math.min(BASE_DELAY_MS * Math.pow(2, supervision.attempt), MAX_DELAY_MS);
+  supervision.status = 'waiting';
+  supervision.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+  supervision.timer = setTimeout(() => attemptReconnect(sessionName), delayMs);
+  supervision.timer.unref();
+
+  console.log(`🔄 Reconnecting session ${sessionName} in ${delayMs}ms (attempt ${supervision.attempt + 1})`);
+  emitReconnect(sessionName, 'scheduled', { attempt: supervision.attempt + 1, delayMs, nextAttemptAt: supervision.nextAttemptAt });
+}
+
+// Helper function to ask a still running browser for its connection state, null if it does not answer
+async function probeConnection(sessionName) {
+  let timer;
+  try {
+    return await Promise.race([
+      wpp.getConnectionState(sessionName, { wake: false }),
+      new Promise(resolve => { timer = setTimeout(() => resolve(null), PROBE_TIMEOUT_MS); })
+    ]);
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Helper function to run one reconnect attempt
+// A browser that is still running gets a chance to have recovered on its own, otherwise it is relaunched
+async function attemptReconnect(sessionName) {
+  const supervision = supervisions.get(sessionName);
+  if (!supervision || stopped) {
+    return;
+  }
+
+  supervision.status = 'reconnecting';
+  supervision.nextAttemptAt = null;
+  supervision.attempt++;
+  console.log(`🔄 Reconnect attempt ${supervision.attempt} for session ${sessionName}`);
+  emitReconnect(sessionName, 'attempting', { attempt: supervision.attempt });
+
+  let needsLogin = false;
+
+  try {
+    if (wpp.getLoadState(sessionName) === 'loaded') {
+      const state = await probeConnection(sessionName);
+      if (state === 'CONNECTED') {
+        sessionLifecycle.markConnected(sessionName, 'connection recovered');
+        return succeed(sessionName, 'connection recovered');
+      }
+      await wpp.closeClient(sessionName);
+    }
+
+    await wpp.getOrCreateClientWithCallbacks(sessionName, {
+      // Gives up (and closes the browser) if the session asks for a new QR scan
+      autoClose: sessionRestore.LOGIN_TIMEOUT_MS,
+      onStatusChange: ({ status }) => {
+        if (status === 'notLogged') {
+          needsLogin = true;
+        }
+      }
+    });
+
+    succeed(sessionName, 'browser relaunched');
+  } catch (error) {
+    if (!supervisions.has(sessionName)) {
+      return;
+    }
+
+    // Asking for a QR scan means the phone unlinked this device, retrying cannot help
+    if (needsLogin) {
+      endSupervision(sessionName);
+      sessionLifecycle.markLoggedOut(sessionName, 'new QR scan required');
+      console.log(`🛑 Session ${sessionName} was logged out, not reconnecting`);
+      emitReconnect(sessionName, 'stopped', { attempt: supervision.attempt, reason: 'logged-out' });
+      return;
+    }
+
+    supervision.lastError = error.message;
+    console.log(`❌ Reconnect attempt ${supervision.attempt} for session ${sessionName} failed: ${error.message}`);
+    emitReconnect(sessionName, 'failed', { attempt: supervision.attempt, error: error.message });
+    scheduleAttempt(sessionName);
+  }
+}
+
+// Helper function to close a successful supervision
+function succeed(sessionName, reason) {
+  const supervision = endSupervision(sessionName);
+  if (supervision) {
+    console.log(`✅ Session ${sessionName} reconnected after ${supervision.attempt} attempts (${reason})`);
+    emitReconnect(sessionName, 'succeeded', { attempt: supervision.attempt, reason });
+  }
+}
+
+/**
+ * Get the reconnect supervision of a session, or null if it is not being reconnected
+ */
+function getSupervision(sessionName) {
+  const supervision = supervisions.get(sessionName);
+  if (!supervision) {
+    return null;
+  }
+
+  const { timer, ...rest } = supervision;
+  return { ...rest, maxAttempts: MAX_ATTEMPTS };
+}
+
+/**
+ * Stop scheduling reconnect attempts, used on shutdown
+ */
+function stopSupervisor() {
+  stopped = true;
+  Array.from(supervisions.keys()).forEach(endSupervision);
+}
+
+// Start supervising on a drop, stop on recovery, logout or when the session is closed on purpose
+wpp.sessionEvents.on('lifecycle-change', ({ sessionName, to, reason }) => {
+  const supervision = supervisions.get(sessionName);
+
+  if (to === 'disconnected' && RECONNECT_ENABLED && !stopped && !supervision) {
+    console.log(`📴 Session ${sessionName} dropped (${reason}), starting reconnect supervision`);
+    supervisions.set(sessionName, {
+      status: 'waiting',
+      attempt: 0,
+      startedAt: new Date().toISOString(),
+      nextAttemptAt: null,
+      dropReason: reason,
+      lastError: null,
+      timer: null
+    });
+    scheduleAttempt(sessionName);
+    return;
+  }
+
+  if (!supervision) {
+    return;
+  }
+
+  if (to === 'ready') {
+    succeed(sessionName, reason);
+  } else if (to === 'logged-out') {
+    endSupervision(sessionName);
+    console.log(`🛑 Session ${sessionName} was logged out, not reconnecting`);
+    emitReconnect(sessionName, 'stopped', { attempt: supervision.attempt, reason: 'logged-out' });
+  } else if (to === 'cold' && supervision.status !== 'reconnecting') {
+    // Closed or deleted through the API (or evicted) while waiting
+    endSupervision(sessionName);
+    emitReconnect(sessionName, 'stopped', { attempt: supervision.attempt, reason });
+  }
+});
+
+module.exports = {
+  getSupervision,
+  stopSupervisor
+};
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+delete process.env.API_AUTH_DISABLED;
+const { isGlobalAdmin, requireGlobalAdmin } = require('../api-keys');
+
+// Helper function to run the middleware with a key, returns the status it replied with (200 when it passed)
+function runMiddleware(apiKey) {
+  let status = 200;
+  let passed = false;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+
+  requireGlobalAdmin({ apiKey }, res, () => {
+    passed = true;
+  });
+
+  return passed ? 200 : status;
+}
+
+test('admins of every session may manage keys', () => {
+  const bootstrap = { id: 'admin', sessions: ['*'], permissions: ['admin'] };
+  const stored = { id: 'k1', sessions: ['*'], permissions: ['read', 'admin'] };
+
+  assert.strictEqual(isGlobalAdmin(bootstrap), true);
+  assert.strictEqual(isGlobalAdmin(stored), true);
+  assert.strictEqual(runMiddleware(bootstrap), 200);
+  assert.strictEqual(runMiddleware(stored), 200);
+});
+
+test('admins scoped to some sessions may not manage keys', () => {
+  const scoped = { id: 'k2', sessions: ['tenant-a'], permissions: ['admin'] };
+  const scopedWithWildcardName = { id: 'k3', sessions: ['tenant-a', 'tenant-*'], permissions: ['admin'] };
+
+  assert.strictEqual(isGlobalAdmin(scoped), false);
+  assert.strictEqual(isGlobalAdmin(scopedWithWildcardName), false);
+  assert.strictEqual(runMiddleware(scoped), 403);
+  assert.strictEqual(runMiddleware(scopedWithWildcardName), 403);
+});
+
+test('keys without the admin permission may not manage keys', () => {
+  assert.strictEqual(runMiddleware({ id: 'k4', sessions: ['*'], permissions: ['read', 'send'] }), 403);
+  assert.strictEqual(runMiddleware(undefined), 403);
+});
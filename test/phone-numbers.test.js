@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Local numbers in these tests assume the default country code
+delete process.env.DEFAULT_COUNTRY_CODE;
+const { normalizeRecipient } = require('../phone-numbers');
+
+// Helper function to assert a value is rejected with a 400 error
+function assertRejected(value, message) {
+  assert.throws(() => normalizeRecipient(value), (error) => {
+    assert.strictEqual(error.statusCode, 400);
+    if (message) {
+      assert.match(error.message, message);
+    }
+    return true;
+  });
+}
+
+test('accepts WhatsApp ids', () => {
+  assert.deepStrictEqual(normalizeRecipient('50761234567@c.us'), { wid: '50761234567@c.us', number: '+50761234567' });
+  assert.deepStrictEqual(normalizeRecipient(' 120363000000000000@g.us '), { wid: '120363000000000000@g.us', number: null });
+  assert.deepStrictEqual(normalizeRecipient('50761234567-1600000000@g.us'), { wid: '50761234567-1600000000@g.us', number: null });
+  assert.deepStrictEqual(normalizeRecipient('status@broadcast'), { wid: 'status@broadcast', number: null });
+});
+
+test('converts multi-device personal ids to @c.us', () => {
+  assert.deepStrictEqual(normalizeRecipient('50761234567@s.whatsapp.net'), { wid: '50761234567@c.us', number: '+50761234567' });
+});
+
+test('rejects unsupported and malformed WhatsApp ids', () => {
+  assertRejected('50761234567@example.com', /Unsupported WhatsApp id/);
+  assertRejected('abc@c.us', /Malformed WhatsApp id/);
+  assertRejected('123@c.us', /Malformed WhatsApp id/);
+  assertRejected('@c.us', /Malformed WhatsApp id/);
+});
+
+test('rejects suffixes named after prototype properties', () => {
+  assertRejected('123@constructor', /Unsupported WhatsApp id/);
+  assertRejected('1@__proto__', /Unsupported WhatsApp id/);
+  assertRejected('1@toString', /Unsupported WhatsApp id/);
+  assertRejected('1@hasOwnProperty', /Unsupported WhatsApp id/);
+});
+
+test('rejects ids with more than one @', () => {
+  assertRejected('50761234567@c.us@x', /single @/);
+  assertRejected('50761234567@@c.us', /single @/);
+});
+
+test('accepts E.164 and 00 international numbers', () => {
+  assert.deepStrictEqual(normalizeRecipient('+50761234567'), { wid: '50761234567@c.us', number: '+50761234567' });
+  assert.deepStrictEqual(normalizeRecipient('+1 (415) 555-0100'), { wid: '14155550100@c.us', number: '+14155550100' });
+  assert.deepStrictEqual(normalizeRecipient('0050761234567'), { wid: '50761234567@c.us', number: '+50761234567' });
+});
+
+test('adds the default country code to local numbers', () => {
+  assert.deepStrictEqual(normalizeRecipient('6123-4567'), { wid: '50761234567@c.us', number: '+50761234567' });
+  assert.deepStrictEqual(normalizeRecipient('223.4567'), { wid: '5072234567@c.us', number: '+5072234567' });
+});
+
+test('keeps full numbers given without a prefix', () => {
+  assert.deepStrictEqual(normalizeRecipient('50761234567'), { wid: '50761234567@c.us', number: '+50761234567' });
+  assert.deepStrictEqual(normalizeRecipient(50761234567), { wid: '50761234567@c.us', number: '+50761234567' });
+});
+
+test('rejects values that are not phone numbers', () => {
+  assertRejected(undefined, /phone number or WhatsApp id/);
+  assertRejected('   ', /phone number or WhatsApp id/);
+  assertRejected({}, /phone number or WhatsApp id/);
+  assertRejected('abc', /is not a phone number/);
+  assertRejected('+507 6123 4567 ext 2', /is not a phone number/);
+});
+
+test('rejects numbers of the wrong length or without a country code', () => {
+  assertRejected('12345', /too short for a phone number/);
+  assertRejected('+1234567', /too short for an international phone number/);
+  assertRejected('+1234567890123456', /too long/);
+  assertRejected('000123456789', /no valid country code/);
+});
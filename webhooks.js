@@ -0,0 +1,403 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Import WhatsApp functionality
+const wpp = require('./wpp-playground');
+
+// Webhook registrations and dead letters are persisted per session on the data volume
+const WEBHOOKS_DIR = path.join(__dirname, 'data', 'webhooks');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 2000;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_DEAD_LETTERS = 500;
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['message', 'any-message', 'message-ack'];
+
+// Store cache - one { webhooks, deadLetters } object per session name
+const stores = new Map();
+
+// Helper function to load (and cache) the webhook store of a session
+function loadStore(sessionName) {
+  if (stores.has(sessionName)) {
+    return stores.get(sessionName);
+  }
+
+  const storePath = path.join(WEBHOOKS_DIR, `${sessionName}.json`);
+  let store = { webhooks: [], deadLetters: [] };
+
+  try {
+    if (fs.existsSync(storePath)) {
+      store = { ...store, ...JSON.parse(fs.readFileSync(storePath, 'utf8')) };
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not read webhook store for session ${sessionName}: ${error.message}`);
+  }
+
+  // A replay cut short by a crash or restart never finished, the entry is a plain dead letter again
+  store.deadLetters.forEach(entry => {
+    delete entry.replaying;
+  });
+
+  stores.set(sessionName, store);
+  return store;
+}
+
+// Helper function to persist the webhook store of a session
+function saveStore(sessionName) {
+  const store = loadStore(sessionName);
+  const storePath = path.join(WEBHOOKS_DIR, `${sessionName}.json`);
+
+  fs.mkdirSync(WEBHOOKS_DIR, { recursive: true });
+
+  // Write to a temp file first so a crash never leaves a half-written store
+  fs.writeFileSync(`${storePath}.tmp`, JSON.stringify(store, null, 2));
+  fs.renameSync(`${storePath}.tmp`, storePath);
+}
+
+// Helper function to hide the signing secret from list/get responses
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, hasSecret: Boolean(secret) };
+}
+
+/**
+ * Validate a webhook definition, returns an error message or null
+ */
+function validateWebhook({ url, events }) {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return `Invalid url: ${url}`;
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'Webhook url must use http or https';
+    }
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return `Unsupported events: ${unknown.join(', ')}. Supported: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the webhooks registered for a session
+ */
+function listWebhooks(sessionName) {
+  return loadStore(sessionName).webhooks.map(publicWebhook);
+}
+
+/**
+ * Get a single webhook, or null if it does not exist
+ */
+function getWebhook(sessionName, webhookId) {
+  const webhook = loadStore(sessionName).webhooks.find(hook => hook.id === webhookId);
+  return webhook ? publicWebhook(webhook) : null;
+}
+
+/**
+ * Register a webhook for a session
+ * The signing secret is only returned here, generate one if the caller did not supply it
+ */
+function createWebhook(sessionName, { url, events = ['message'], secret, description = '', enabled = true }) {
+  const store = loadStore(sessionName);
+
+  const webhook = {
+    id: crypto.randomUUID(),
+    url,
+    events,
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    description,
+    enabled: Boolean(enabled),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  store.webhooks.push(webhook);
+  saveStore(sessionName);
+  console.log(`🪝 Webhook ${webhook.id} registered for session: ${sessionName} -> ${url}`);
+
+  return { ...publicWebhook(webhook), secret: webhook.secret };
+}
+
+/**
+ * Update a webhook, returns null if it does not exist
+ */
+function updateWebhook(sessionName, webhookId, changes) {
+  const store = loadStore(sessionName);
+  const webhook = store.webhooks.find(hook => hook.id === webhookId);
+
+  if (!webhook) {
+    return null;
+  }
+
+  ['url', 'events', 'secret', 'description', 'enabled'].forEach(key => {
+    if (changes[key] !== undefined) {
+      webhook[key] = key === 'enabled' ? Boolean(changes[key]) : changes[key];
+    }
+  });
+  webhook.updatedAt = new Date().toISOString();
+
+  saveStore(sessionName);
+  return publicWebhook(webhook);
+}
+
+/**
+ * Delete a webhook, returns false if it does not exist
+ */
+function deleteWebhook(sessionName, webhookId) {
+  const store = loadStore(sessionName);
+  const index = store.webhooks.findIndex(hook => hook.id === webhookId);
+
+  if (index === -1) {
+    return false;
+  }
+
+  store.webhooks.splice(index, 1);
+  saveStore(sessionName);
+  console.log(`🗑️ Webhook ${webhookId} removed from session: ${sessionName}`);
+  return true;
+}
+
+/**
+ * Sign a payload with the webhook secret
+ * Receivers recompute HMAC-SHA256 over `${timestamp}.${body}` and compare with X-Webhook-Signature
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Helper function to POST a single delivery attempt, resolves with the HTTP status
+async function postDelivery(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'kpiwa-wpp-webhooks',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': delivery.payload.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      signal: controller.signal
+    });
+    return response.status;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Helper function to move a delivery that exhausted its retries to the dead-letter list
+// A failed replay updates its existing entry instead of adding a second one
+function addDeadLetter(sessionName, webhook, delivery) {
+  const store = loadStore(sessionName);
+  const existing = store.deadLetters.findIndex(entry => entry.id === delivery.id);
+
+  if (existing !== -1) {
+    store.deadLetters.splice(existing, 1);
+  }
+
+  store.deadLetters.push({
+    id: delivery.id,
+    webhookId: webhook.id,
+    url: webhook.url,
+    event: delivery.payload.event,
+    payload: delivery.payload,
+    attempts: delivery.attempts,
+    lastStatus: delivery.lastStatus,
+    lastError: delivery.lastError,
+    failedAt: new Date().toISOString()
+  });
+
+  // Keep the list bounded, oldest entries go first
+  if (store.deadLetters.length > MAX_DEAD_LETTERS) {
+    store.deadLetters.splice(0, store.deadLetters.length - MAX_DEAD_LETTERS);
+  }
+
+  saveStore(sessionName);
+  console.log(`☠️ Webhook delivery ${delivery.id} dead-lettered for session ${sessionName} after ${delivery.attempts} attempts`);
+}
+
+/**
+ * Deliver a payload to a webhook with exponential-backoff retries
+ * Network errors, timeouts, 408, 429 and 5xx are retried; any other non-2xx is final
+ */
+async function deliver(sessionName, webhook, delivery) {
+  while (delivery.attempts < MAX_ATTEMPTS) {
+    delivery.attempts++;
+
+    try {
+      const status = await postDelivery(webhook, delivery);
+      delivery.lastStatus = status;
+
+      if (status >= 200 && status < 300) {
+        console.log(`🪝 Delivered ${delivery.payload.event} (${delivery.id}) to ${webhook.url}`);
+        return true;
+      }
+
+      delivery.lastError = `HTTP ${status}`;
+      if (status < 500 && status !== 408 && status !== 429) {
+        break;
+      }
+    } catch (error) {
+      delivery.lastError = error.name === 'AbortError' ? 'Request timeout' : error.message;
+    }
+
+    console.log(`⚠️ Webhook delivery ${delivery.id} attempt ${delivery.attempts} failed: ${delivery.lastError}`);
+
+    if (delivery.attempts < MAX_ATTEMPTS) {
+      const delay = RETRY_BASE_DELAY_MS * Math.pow(2, delivery.attempts - 1);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  addDeadLetter(sessionName, webhook, delivery);
+  return false;
+}
+
+/**
+ * Fan an event out to every enabled webhook of the session subscribed to it
+ */
+function dispatchEvent(sessionName, event, data) {
+  const webhooks = loadStore(sessionName).webhooks
+    .filter(webhook => webhook.enabled && webhook.events.includes(event));
+
+  webhooks.forEach(webhook => {
+    const delivery = {
+      id: crypto.randomUUID(),
+      attempts: 0,
+      payload: {
+        event,
+        sessionName,
+        timestamp: new Date().toISOString(),
+        data
+      }
+    };
+
+    deliver(sessionName, webhook, delivery).catch(error => {
+      console.error(`❌ Unexpected webhook delivery error for session ${sessionName}:`, error.message);
+    });
+  });
+}
+
+/**
+ * List the dead-lettered deliveries of a session
+ */
+function listDeadLetters(sessionName) {
+  return loadStore(sessionName).deadLetters;
+}
+
+/**
+ * Replay a dead-lettered delivery with a fresh retry budget
+ * The delivery runs in the background like any other. The entry stays in the list marked `replaying`
+ * until it is delivered, so a shutdown or crash mid-replay never loses it; a new failure updates it.
+ * Returns null if the entry or its webhook no longer exist, throws a 409 error if it is already replaying
+ */
+function replayDeadLetter(sessionName, deliveryId) {
+  const store = loadStore(sessionName);
+  const index = store.deadLetters.findIndex(entry => entry.id === deliveryId);
+
+  if (index === -1) {
+    return null;
+  }
+
+  const entry = store.deadLetters[index];
+  const webhook = store.webhooks.find(hook => hook.id === entry.webhookId);
+
+  if (!webhook) {
+    return null;
+  }
+
+  if (entry.replaying) {
+    throw Object.assign(new Error(`Dead letter ${deliveryId} is already being replayed`), { statusCode: 409 });
+  }
+
+  entry.replaying = true;
+  saveStore(sessionName);
+
+  deliver(sessionName, webhook, {
+    id: entry.id,
+    attempts: 0,
+    payload: entry.payload
+  }).then(delivered => {
+    if (delivered) {
+      deleteDeadLetter(sessionName, deliveryId);
+    }
+  }).catch(error => {
+    // Leave the entry in place for another replay
+    delete entry.replaying;
+    saveStore(sessionName);
+    console.error(`❌ Unexpected webhook replay error for session ${sessionName}:`, error.message);
+  });
+
+  return {
+    deliveryId,
+    webhookId: webhook.id,
+    replaying: true
+  };
+}
+
+/**
+ * Drop a dead-lettered delivery without replaying it
+ */
+function deleteDeadLetter(sessionName, deliveryId) {
+  const store = loadStore(sessionName);
+  const index = store.deadLetters.findIndex(entry => entry.id === deliveryId);
+
+  if (index === -1) {
+    return false;
+  }
+
+  store.deadLetters.splice(index, 1);
+  saveStore(sessionName);
+  return true;
+}
+
+// Forward WhatsApp events from the session event bus to registered webhooks
+['message', 'any-message'].forEach(event => {
+  wpp.sessionEvents.on(event, ({ sessionName, message }) => {
+    dispatchEvent(sessionName, event, wpp.normalizeMessage(message));
+  });
+});
+
+wpp.sessionEvents.on('ack-change', ({ sessionName, status }) => {
+  dispatchEvent(sessionName, 'message-ack', status);
+});
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  validateWebhook,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  signPayload,
+  dispatchEvent,
+  listDeadLetters,
+  replayDeadLetter,
+  deleteDeadLetter
+};
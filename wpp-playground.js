@@ -1,11 +1,23 @@
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
 const wppconnect = require('@wppconnect-team/wppconnect');
 
 
 // Client cache - store multiple clients by session name
 const clients = new Map();
 
+// Last use (API call or message traffic) of each cached client, used for idle eviction
+const lastUsed = new Map();
+
+// Initializations in progress: sessionName -> { promise, qrListeners, linkCodeListeners, statusListeners, lastQR, lastLinkCode, lastStatus, startedAt }
+// Concurrent callers share the same launch instead of starting a second browser on the same userDataDir
+const initializing = new Map();
+
+// Session event bus - relays client events as { sessionName, ... } to other modules (webhooks, etc.)
+const sessionEvents = new EventEmitter();
+sessionEvents.setMaxListeners(0);
+
 // Helper function to clean up stale Chrome lock files
 async function cleanupChromeLockFiles(sessionName) {
   const userDataDir = path.join(__dirname, 'data', 'tokens', sessionName);
@@ -26,14 +38,100 @@ async function cleanupChromeLockFiles(sessionName) {
   }
 }
 
+// Helper function to relay the events of a freshly created client to the session event bus
+function attachClientListeners(sessionName, client) {
+  client.onMessage((message) => {
+    sessionEvents.emit('message', { sessionName, message });
+  });
+
+  client.onAnyMessage((message) => {
+    lastUsed.set(sessionName, Date.now());
+    sessionEvents.emit('any-message', { sessionName, message });
+  });
+
+  client.onAck((ack) => {
+    sessionEvents.emit('ack', { sessionName, ack });
+  });
+
+  client.onPresenceChanged((presence) => {
+    sessionEvents.emit('presence', { sessionName, presence });
+  });
+
+  client.onStateChange((state) => {
+    sessionEvents.emit('state-change', { sessionName, state });
+  });
+
+  client.onInterfaceChange((state) => {
+    sessionEvents.emit('interface-change', { sessionName, mode: state.mode, displayInfo: state.displayInfo });
+  });
+}
+
+// Helper function to cache a freshly created client and announce it on the session event bus
+function registerClient(sessionName, client) {
+  clients.set(sessionName, client);
+  lastUsed.set(sessionName, Date.now());
+  attachClientListeners(sessionName, client);
+  sessionEvents.emit('client-created', { sessionName });
+}
+
+// Helper function to turn a Wid object or string into its serialized form
+function serializeId(id) {
+  if (id && typeof id === 'object') {
+    return id._serialized || null;
+  }
+  return id || null;
+}
+
+/**
+ * Normalize a wppconnect message into the flat shape exposed to integrations
+ */
+function normalizeMessage(message) {
+  const isText = message.type === 'chat';
+
+  return {
+    id: serializeId(message.id),
+    chatId: serializeId(message.chatId) || (message.fromMe ? message.to : message.from),
+    from: serializeId(message.from),
+    to: serializeId(message.to),
+    author: serializeId(message.author),
+    senderName: message.notifyName || (message.sender && message.sender.pushname) || null,
+    fromMe: Boolean(message.fromMe),
+    isGroupMsg: Boolean(message.isGroupMsg),
+    type: message.type,
+    // For media messages `body` holds a base64 thumbnail, so only expose it for text
+    body: isText ? message.body : null,
+    caption: message.caption || null,
+    hasMedia: Boolean(message.isMedia || message.isMMS),
+    mimetype: message.mimetype || null,
+    filename: message.filename || null,
+    quotedMsgId: serializeId(message.quotedMsgId),
+    ack: message.ack,
+    timestamp: message.timestamp ? new Date(message.timestamp * 1000).toISOString() : null
+  };
+}
 
-// Enhanced helper function to get or create a client with custom QR and status callbacks
+/**
+ * Normalize a wppconnect ack event (delivery/read receipt of an outbound message)
+ */
+function normalizeAck(ack) {
+  return {
+    id: serializeId(ack.id),
+    from: serializeId(ack.from),
+    to: serializeId(ack.to),
+    ack: ack.ack,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Enhanced helper function to get or create a client with custom QR, link code and status callbacks
+// Pass `phoneNumber` (international format, digits only) to pair with a link code instead of a QR scan
 async function getOrCreateClientWithCallbacks(sessionName, options = {}) {
-  const { onQRCode, onStatusChange, ...wppOptions } = options;
+  const { onQRCode, onLinkCode, onStatusChange, ...wppOptions } = options;
   
   // Check if we have a cached client (for performance)
   if (clients.has(sessionName)) {
     const existingClient = clients.get(sessionName);
+    lastUsed.set(sessionName, Date.now());
     console.log('✅ Client already cached, reusing existing connection');
     
     // Test if the client is still usable by trying a simple operation
@@ -48,6 +146,77 @@ async function getOrCreateClientWithCallbacks(sessionName, options = {}) {
     }
   }
 
+  // Join an initialization that is already running - its QR codes and status updates are shared
+  if (initializing.has(sessionName)) {
+    const pending = initializing.get(sessionName);
+    console.log(`⏳ Session ${sessionName} is already initializing, waiting for the same launch`);
+
+    if (typeof onQRCode === 'function') {
+      pending.qrListeners.push(onQRCode);
+      if (pending.lastQR) {
+        onQRCode(pending.lastQR);
+      }
+    }
+    if (typeof onLinkCode === 'function') {
+      pending.linkCodeListeners.push(onLinkCode);
+      if (pending.lastLinkCode) {
+        onLinkCode(pending.lastLinkCode);
+      }
+    }
+    if (typeof onStatusChange === 'function') {
+      pending.statusListeners.push(onStatusChange);
+      if (pending.lastStatus) {
+        onStatusChange(pending.lastStatus);
+      }
+    }
+
+    return pending.promise;
+  }
+
+  const pending = {
+    qrListeners: typeof onQRCode === 'function' ? [onQRCode] : [],
+    linkCodeListeners: typeof onLinkCode === 'function' ? [onLinkCode] : [],
+    statusListeners: typeof onStatusChange === 'function' ? [onStatusChange] : [],
+    lastQR: null,
+    lastLinkCode: null,
+    lastStatus: null,
+    startedAt: new Date().toISOString()
+  };
+
+  sessionEvents.emit('launch-started', { sessionName });
+  pending.promise = launchClient(sessionName, {
+    ...wppOptions,
+    onQRCode: (qrData) => {
+      pending.lastQR = qrData;
+      pending.qrListeners.forEach(listener => listener(qrData));
+      sessionEvents.emit('qr-code', { sessionName, qr: qrData });
+    },
+    onLinkCode: (linkCodeData) => {
+      pending.lastLinkCode = linkCodeData;
+      pending.linkCodeListeners.forEach(listener => listener(linkCodeData));
+      sessionEvents.emit('link-code', { sessionName, linkCode: linkCodeData });
+    },
+    onStatusChange: (statusData) => {
+      pending.lastStatus = statusData;
+      pending.statusListeners.forEach(listener => listener(statusData));
+      sessionEvents.emit('status-find', { sessionName, status: statusData.status });
+    }
+  }).catch((error) => {
+    sessionEvents.emit('client-failed', { sessionName, error: error.message });
+    throw error;
+  }).finally(() => {
+    initializing.delete(sessionName);
+  });
+
+  initializing.set(sessionName, pending);
+  return pending.promise;
+}
+
+// Helper function to launch a new browser for a session and cache its client
+async function launchClient(sessionName, options) {
+  // The relay callbacks below feed every caller of a shared launch, so no caller may replace them
+  const { onQRCode, onLinkCode, onStatusChange, statusFind, catchQR, catchLinkCode, ...wppOptions } = options;
+
   // Create new client with custom callbacks
   try {
     console.log(`📱 Initializing client for session: ${sessionName} with custom callbacks`);
@@ -88,6 +257,19 @@ async function getOrCreateClientWithCallbacks(sessionName, options = {}) {
           });
         }
       },
+      catchLinkCode: (code) => {
+        console.log(`🔢 Link code for ${sessionName}: ${code}`);
+        
+        // Call custom link code callback if provided
+        if (onLinkCode && typeof onLinkCode === 'function') {
+          onLinkCode({
+            code: code,
+            phoneNumber: wppOptions.phoneNumber,
+            sessionName: sessionName,
+            timestamp: new Date().toISOString()
+          });
+        }
+      },
       statusFind: (status) => {
         console.log(`📱 Status for ${sessionName}:`, status);
         
@@ -103,7 +285,7 @@ async function getOrCreateClientWithCallbacks(sessionName, options = {}) {
       ...wppOptions
     });
 
-    clients.set(sessionName, client);
+    registerClient(sessionName, client);
     console.log('✅ Client initialized successfully with callbacks!');
 
     return client;
@@ -156,6 +338,18 @@ async function getOrCreateClientWithCallbacks(sessionName, options = {}) {
               });
             }
           },
+          catchLinkCode: (code) => {
+            console.log(`🔢 Link code for ${sessionName}: ${code}`);
+            
+            if (onLinkCode && typeof onLinkCode === 'function') {
+              onLinkCode({
+                code: code,
+                phoneNumber: wppOptions.phoneNumber,
+                sessionName: sessionName,
+                timestamp: new Date().toISOString()
+              });
+            }
+          },
           statusFind: (status) => {
             console.log(`📱 Status for ${sessionName}:`, status);
             
@@ -170,7 +364,7 @@ async function getOrCreateClientWithCallbacks(sessionName, options = {}) {
           ...wppOptions
         });
         
-        clients.set(sessionName, client);
+        registerClient(sessionName, client);
         console.log('✅ Client initialized successfully after cleanup!');
         return client;
         
@@ -201,23 +395,57 @@ async function getOrCreateClientWithCallbacks(sessionName, options = {}) {
   }
 }
 
+// Helper function to check if a session has persisted data on disk
+function sessionExists(sessionName) {
+  return fs.existsSync(path.join(__dirname, 'data', 'tokens', sessionName));
+}
+
+/**
+ * Report whether a session is loaded in memory, only on disk, or unknown - never launches a browser
+ * @returns {'loaded'|'initializing'|'not-loaded'|'not-found'}
+ */
+function getLoadState(sessionName) {
+  if (clients.has(sessionName)) {
+    return 'loaded';
+  }
+  if (initializing.has(sessionName)) {
+    return 'initializing';
+  }
+  return sessionExists(sessionName) ? 'not-loaded' : 'not-found';
+}
+
 /**
  * Get the connection state of the WhatsApp client
+ * With `wake: false` only a cached client is queried and null is returned when it is not loaded
  */
-async function getConnectionState(sessionName) {
-  const client = await getOrCreateClientWithCallbacks(sessionName);
+async function getConnectionState(sessionName, { wake = true } = {}) {
+  if (!wake && !clients.has(sessionName)) {
+    return null;
+  }
+
+  const client = wake ? await getOrCreateClientWithCallbacks(sessionName) : clients.get(sessionName);
   return await client.getConnectionState();
 }
 
 /**
  * Check if the WhatsApp client is authenticated
+ * With `wake: false` only a cached client is queried and false is returned when it is not loaded
  */
-async function isAuthenticated(sessionName) {
+async function isAuthenticated(sessionName, { wake = true } = {}) {
+  if (!wake) {
+    const client = clients.get(sessionName);
+    try {
+      return client ? await client.isAuthenticated() : false;
+    } catch (error) {
+      return false;
+    }
+  }
+
   return new Promise((resolve) => {
     let resolved = false;
     
     getOrCreateClientWithCallbacks(sessionName, {
-      statusFind: (status) => {
+      onStatusChange: ({ status }) => {
         if (resolved) return;
         
         if (status === 'desconnectedMobile') {
@@ -245,16 +473,266 @@ async function isAuthenticated(sessionName) {
   });
 }
 
+/**
+ * Check if the main interface of a loaded session is authenticated, loaded and synced (never launches a browser)
+ */
+async function isMainReady(sessionName) {
+  const client = clients.get(sessionName);
+  try {
+    return client ? (await client.isMainReady()) === true : false;
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Get the WhatsApp ID (WID) of the current session
+ * With `wake: false` only a cached client is queried and null is returned when it is not loaded
  */
-async function getWid(sessionName) {
-  const client = await getOrCreateClientWithCallbacks(sessionName);
+async function getWid(sessionName, { wake = true } = {}) {
+  if (!wake && !clients.has(sessionName)) {
+    return null;
+  }
+
+  const client = wake ? await getOrCreateClientWithCallbacks(sessionName) : clients.get(sessionName);
   const result = await client.getWid();
   await client.setOnlinePresence(false);
   return result;
 }
 
+/**
+ * List session names known on disk (data/tokens) or held in the client cache
+ */
+function listSessions() {
+  const tokensDir = path.join(__dirname, 'data', 'tokens');
+  const names = new Set([...clients.keys(), ...initializing.keys()]);
+
+  try {
+    if (fs.existsSync(tokensDir)) {
+      fs.readdirSync(tokensDir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory())
+        .forEach(dirent => names.add(dirent.name));
+    }
+  } catch (error) {
+    console.log(`⚠️ Error listing sessions: ${error.message}`);
+  }
+
+  return Array.from(names).sort();
+}
+
+/**
+ * Get the status of a session without ever launching a browser
+ * Connection state and WID are only read from clients that are already cached
+ */
+async function getSessionStatus(sessionName) {
+  const exists = sessionExists(sessionName);
+  const client = clients.get(sessionName);
+
+  const status = {
+    sessionName,
+    exists,
+    isCached: Boolean(client),
+    lastUsedAt: client && lastUsed.has(sessionName) ? new Date(lastUsed.get(sessionName)).toISOString() : null,
+    isConnected: false,
+    connectionState: null,
+    wid: null,
+    status: 'not_found'
+  };
+
+  if (client) {
+    // A wedged page must not stall the whole inventory
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Status check timeout')), 5000);
+    });
+
+    try {
+      status.connectionState = await Promise.race([client.getConnectionState(), timeout]);
+      status.isConnected = status.connectionState === 'CONNECTED';
+
+      if (status.isConnected) {
+        status.wid = await Promise.race([client.getWid(), timeout]);
+      }
+    } catch (error) {
+      console.log(`⚠️ Error checking connection status for ${sessionName}: ${error.message}`);
+      status.error = error.message;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    status.status = status.isConnected ? 'connected' : 'cached_but_disconnected';
+  } else if (initializing.has(sessionName)) {
+    status.status = 'initializing';
+    status.initializingSince = initializing.get(sessionName).startedAt;
+  } else if (exists) {
+    status.status = 'exists_but_not_cached';
+  }
+
+  return status;
+}
+
+/**
+ * Get the status of every known session without launching browsers
+ */
+async function getAllSessionsStatus() {
+  return Promise.all(listSessions().map(sessionName => getSessionStatus(sessionName)));
+}
+
+/**
+ * List the sessions whose browser is currently open, with the time they were last used
+ */
+function listLoadedSessions() {
+  return Array.from(clients.keys()).map(sessionName => ({
+    sessionName,
+    lastUsedAt: lastUsed.get(sessionName) || null
+  }));
+}
+
+/**
+ * Close the browser of a cached client but keep its userDataDir, so the next call revives it
+ * Returns false if the session was not loaded
+ */
+async function closeClient(sessionName) {
+  const client = clients.get(sessionName);
+
+  if (!client) {
+    return false;
+  }
+
+  // Drop it from the cache first so concurrent calls start a fresh client instead of using this one
+  clients.delete(sessionName);
+  lastUsed.delete(sessionName);
+
+  try {
+    await client.close();
+    console.log(`💤 Browser closed for session: ${sessionName} (data kept)`);
+  } catch (error) {
+    console.log(`⚠️ Error closing browser for session ${sessionName}: ${error.message}`);
+  }
+
+  sessionEvents.emit('client-closed', { sessionName });
+  return true;
+}
+
+/**
+ * Close the browsers of every cached client (data is kept), used on shutdown
+ */
+async function closeAllClients() {
+  console.log('🔌 Closing all client connections...');
+  await Promise.all(Array.from(clients.keys()).map(sessionName => closeClient(sessionName)));
+  console.log('✅ All clients closed');
+}
+
+// Helper function to sum the resident memory of a process and all its descendants (Linux only)
+function processTreeRss(rootPid) {
+  if (process.platform !== 'linux') {
+    return null;
+  }
+
+  const children = new Map();
+  fs.readdirSync('/proc').filter(entry => /^\d+$/.test(entry)).forEach(entry => {
+    try {
+      // The command name may contain spaces, the fields after its closing paren are fixed: state ppid ...
+      const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+      const ppid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+      if (!children.has(ppid)) {
+        children.set(ppid, []);
+      }
+      children.get(ppid).push(parseInt(entry));
+    } catch (error) {
+      // The process exited while we were scanning
+    }
+  });
+
+  let rssBytes = 0;
+  const pending = [rootPid];
+  while (pending.length > 0) {
+    const pid = pending.pop();
+    try {
+      const residentPages = parseInt(fs.readFileSync(`/proc/${pid}/statm`, 'utf8').split(' ')[1]);
+      rssBytes += residentPages * 4096;
+    } catch (error) {
+      continue;
+    }
+    pending.push(...(children.get(pid) || []));
+  }
+
+  return rssBytes;
+}
+
+/**
+ * Report the memory used by the browser of a cached client, or null if it is not loaded
+ * rssBytes covers the Chrome process tree, jsHeapUsedBytes the WhatsApp Web page
+ */
+async function getClientMemory(sessionName) {
+  const client = clients.get(sessionName);
+
+  if (!client) {
+    return null;
+  }
+
+  const memory = { sessionName, pid: null, rssBytes: null, jsHeapUsedBytes: null };
+
+  try {
+    const browserProcess = client.page.browser().process();
+    memory.pid = browserProcess ? browserProcess.pid : null;
+    memory.rssBytes = memory.pid ? processTreeRss(memory.pid) : null;
+
+    const metrics = await client.page.metrics();
+    memory.jsHeapUsedBytes = metrics.JSHeapUsedSize;
+  } catch (error) {
+    console.log(`⚠️ Error reading memory usage for ${sessionName}: ${error.message}`);
+    memory.error = error.message;
+  }
+
+  return memory;
+}
+
+/**
+ * Run an action with the client of an authenticated session
+ * Returns { success, result, isAuthenticated }, a failed action keeps isAuthenticated true and its error's statusCode
+ */
+async function withClient(sessionName, action) {
+  // Check authentication first
+  let isAuth;
+  try {
+    isAuth = await isAuthenticated(sessionName);
+  } catch (error) {
+    return {
+      success: false,
+      error: `Authentication check failed: ${error.message}`,
+      isAuthenticated: false
+    };
+  }
+  
+  if (!isAuth) {
+    return {
+      success: false,
+      error: 'Session not authenticated',
+      isAuthenticated: false
+    };
+  }
+  
+  try {
+    const client = await getOrCreateClientWithCallbacks(sessionName);
+    const result = await action(client);
+    await client.setOnlinePresence(false);
+    
+    return {
+      success: true,
+      result: result,
+      isAuthenticated: true
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      statusCode: error.statusCode,
+      isAuthenticated: true
+    };
+  }
+}
+
 /**
  * Send a text message to a specific contact
  */
@@ -299,6 +777,61 @@ async function sendText(sessionName, to, message) {
   }
 }
 
+/**
+ * Send a media message (image, document, audio, video or sticker) to a specific contact
+ * @param {Object} media - { type, content (data URI), filename, mimetype, caption, isPtt }
+ */
+async function sendMedia(sessionName, to, media) {
+  // Check authentication first
+  let isAuth;
+  try {
+    isAuth = await isAuthenticated(sessionName);
+  } catch (error) {
+    return {
+      success: false,
+      error: `Authentication check failed: ${error.message}`,
+      isAuthenticated: false
+    };
+  }
+  
+  if (!isAuth) {
+    return {
+      success: false,
+      error: 'Session not authenticated',
+      isAuthenticated: false
+    };
+  }
+  
+  // Proceed with sending the file
+  try {
+    const client = await getOrCreateClientWithCallbacks(sessionName);
+    const { type, content, filename, mimetype, caption, isPtt } = media;
+    
+    const options = { type, filename, mimetype };
+    if (caption && type !== 'sticker' && type !== 'audio') {
+      options.caption = caption;
+    }
+    if (type === 'audio') {
+      options.isPtt = Boolean(isPtt);
+    }
+    
+    const result = await client.sendFile(to, content, options);
+    await client.setOnlinePresence(false);
+    
+    return {
+      success: true,
+      result: result,
+      isAuthenticated: true
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      isAuthenticated: false
+    };
+  }
+}
+
 /**
  * List chats with optional filtering and pagination
  */
@@ -346,6 +879,117 @@ async function listChats(sessionName, options = {}) {
   }
 }
 
+/**
+ * Load messages of a chat from the browser
+ * @param {Object} options - { count, id, direction: before|after } as in wppconnect getMessages
+ */
+async function getChatMessages(sessionName, chatId, options = {}) {
+  // Check authentication first
+  let isAuth;
+  try {
+    isAuth = await isAuthenticated(sessionName);
+  } catch (error) {
+    return {
+      success: false,
+      error: `Authentication check failed: ${error.message}`,
+      isAuthenticated: false,
+      messages: []
+    };
+  }
+  
+  if (!isAuth) {
+    return {
+      success: false,
+      error: 'Session not authenticated',
+      isAuthenticated: false,
+      messages: []
+    };
+  }
+  
+  try {
+    const client = await getOrCreateClientWithCallbacks(sessionName);
+    const result = await client.getMessages(chatId, options);
+    await client.setOnlinePresence(false);
+    
+    return {
+      success: true,
+      messages: result,
+      isAuthenticated: true
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      isAuthenticated: true,
+      messages: []
+    };
+  }
+}
+
+/**
+ * Download and decrypt the attachment of a message
+ * Returns { success, buffer, mimetype, filename } or { success: false, error, statusCode }
+ */
+async function downloadMessageMedia(sessionName, messageId) {
+  // Check authentication first
+  let isAuth;
+  try {
+    isAuth = await isAuthenticated(sessionName);
+  } catch (error) {
+    return {
+      success: false,
+      error: `Authentication check failed: ${error.message}`,
+      isAuthenticated: false
+    };
+  }
+  
+  if (!isAuth) {
+    return {
+      success: false,
+      error: 'Session not authenticated',
+      isAuthenticated: false
+    };
+  }
+  
+  try {
+    const client = await getOrCreateClientWithCallbacks(sessionName);
+    const message = await client.getMessageById(messageId).catch(() => null);
+    
+    if (!message) {
+      return { success: false, error: `Message ${messageId} not found`, statusCode: 404, isAuthenticated: true };
+    }
+    
+    if (!message.isMedia && !message.isMMS) {
+      return { success: false, error: `Message ${messageId} has no media`, statusCode: 404, isAuthenticated: true };
+    }
+    
+    let buffer;
+    try {
+      buffer = await client.decryptFile(message);
+    } catch (error) {
+      // Fall back to the copy the browser may still hold when the CDN download fails
+      console.log(`⚠️ Could not decrypt media of ${messageId}, trying the browser copy: ${error.message}`);
+      const dataUri = await client.downloadMedia(messageId);
+      buffer = Buffer.from(dataUri.split(',').pop(), 'base64');
+    }
+    
+    return {
+      success: true,
+      isAuthenticated: true,
+      buffer,
+      mimetype: message.mimetype || 'application/octet-stream',
+      filename: message.filename || null
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 502,
+      isAuthenticated: true
+    };
+  }
+}
+
 /**
  * Delete a WhatsApp session (cleans up cached client and persistent data)
  */
@@ -427,6 +1071,8 @@ async function deleteSession(sessionName) {
       console.log(`ℹ️ Session data directory does not exist: ${sessionDataDir}`);
     }
     
+    sessionEvents.emit('session-deleted', { sessionName });
+    
     return {
       sessionName,
       deleted: true,
@@ -478,6 +1124,7 @@ async function cleanupFailedSession(sessionName) {
     }
     
     console.log(`🧹 Cleanup complete for failed session: ${sessionName}`);
+    sessionEvents.emit('session-deleted', { sessionName });
     
     return {
       sessionName,
@@ -493,12 +1140,29 @@ async function cleanupFailedSession(sessionName) {
 
 // Export functions for use
 module.exports = {
+  sessionEvents,
+  serializeId,
+  normalizeMessage,
+  normalizeAck,
   getOrCreateClientWithCallbacks,
+  getLoadState,
   getConnectionState,
   isAuthenticated,
+  isMainReady,
   getWid,
+  listSessions,
+  getSessionStatus,
+  getAllSessionsStatus,
+  listLoadedSessions,
+  closeClient,
+  closeAllClients,
+  getClientMemory,
+  withClient,
   sendText,
+  sendMedia,
   listChats,
+  getChatMessages,
+  downloadMessageMedia,
   deleteSession,
   cleanupFailedSession
 };